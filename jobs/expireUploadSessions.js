@@ -0,0 +1,30 @@
+import fs from 'fs';
+import UploadSession from '../models/UploadSession.js';
+
+const SWEEP_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+// Remove expired upload sessions together with their partial files
+export const expireUploadSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } });
+
+  for (const session of expired) {
+    await fs.promises.rm(session.tempPath, { force: true });
+    await session.deleteOne();
+  }
+
+  return expired.length;
+};
+
+export const startUploadSessionSweep = () => {
+  const timer = setInterval(() => {
+    expireUploadSessions()
+      .then(count => {
+        if (count) console.log(`🧹 Removed ${count} expired upload session(s)`);
+      })
+      .catch(err => console.error('Upload session sweep failed:', err));
+  }, SWEEP_INTERVAL);
+
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+};
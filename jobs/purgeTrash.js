@@ -0,0 +1,19 @@
+import { purgeExpiredTrash } from '../utils/trash.js';
+
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+export const startTrashPurgeSweep = () => {
+  const timer = setInterval(() => {
+    purgeExpiredTrash()
+      .then(({ pdfs, annotations }) => {
+        if (pdfs || annotations) {
+          console.log(`🗑️  Purged ${pdfs} PDF(s) and ${annotations} annotation(s) from the trash`);
+        }
+      })
+      .catch(err => console.error('Trash purge sweep failed:', err));
+  }, SWEEP_INTERVAL);
+
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+};
@@ -77,4 +77,16 @@ export const optionalAuth = async (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
+
+// Resolve a JWT outside of a request, e.g. for WebSocket connections.
+// Returns null unless the token is valid and belongs to an active user.
+export const getUserFromToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id);
+    return user?.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,78 @@
+import jwt from 'jsonwebtoken';
+import ShareLink from '../models/ShareLink.js';
+import { protect } from './auth.js';
+
+// Share tokens travel in the X-Share-Token header. Links that cannot set
+// headers (e.g. a PDF viewer loading the file) may pass the shareToken query
+// parameter on GET requests instead; server.js keeps it out of the access log.
+export const readShareToken = (req) => {
+  if (req.headers['x-share-token']) return req.headers['x-share-token'];
+
+  const { shareToken } = req.query;
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+  return isRead && typeof shareToken === 'string' ? shareToken : undefined;
+};
+
+// Short-lived token handed out once the password of a protected link has been
+// checked; accepted wherever the link token itself is
+export const signShareAccessToken = (link) => {
+  const maxAge = 12 * 60 * 60; // 12 hours
+  const untilExpiry = link.expiresAt
+    ? Math.floor((link.expiresAt.getTime() - Date.now()) / 1000)
+    : maxAge;
+
+  return jwt.sign(
+    { shareLink: link._id.toString(), type: 'share' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.min(maxAge, untilExpiry)) }
+  );
+};
+
+const rejectShareLink = (res, message) => res.status(401).json({
+  success: false,
+  message
+});
+
+// Sets req.shareLink when the request carries a share token. A token that is
+// present but unusable is rejected rather than ignored, so reviewers learn why.
+export const shareLinkAuth = async (req, res, next) => {
+  const token = readShareToken(req);
+  if (!token) return next();
+
+  try {
+    let link;
+    let passwordChecked = false;
+
+    // Access tokens are JWTs; link tokens are plain base64url strings
+    if (token.includes('.')) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.type !== 'share') return rejectShareLink(res, 'Invalid share link');
+      link = await ShareLink.findById(decoded.shareLink);
+      passwordChecked = true;
+    } else {
+      link = await ShareLink.findOne({ tokenHash: ShareLink.hashToken(token) });
+    }
+
+    if (!link) return rejectShareLink(res, 'Invalid share link');
+
+    const invalidReason = link.getInvalidReason();
+    if (invalidReason) return rejectShareLink(res, invalidReason);
+
+    if (link.hasPassword && !passwordChecked) {
+      return rejectShareLink(res, 'This share link is password protected. Verify the password first.');
+    }
+
+    req.shareLink = link;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return rejectShareLink(res, 'Invalid or expired share access token');
+    }
+    next(error);
+  }
+};
+
+// Require a login, unless the request carries a share token instead
+export const protectOrShareLink = (req, res, next) => (
+  readShareToken(req) ? shareLinkAuth(req, res, next) : protect(req, res, next)
+);
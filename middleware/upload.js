@@ -3,16 +3,17 @@ import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 
-// Ensure upload directory exists
-const uploadDir = './uploads/pdfs';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+// Ensure the temporary upload directory exists. Incoming files land here and
+// are moved into storage once their content hash is known.
+export const tempDir = './uploads/tmp';
+if (!fs.existsSync(tempDir)) {
+  fs.mkdirSync(tempDir, { recursive: true });
 }
 
 // Configure storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, uploadDir);
+    cb(null, tempDir);
   },
   filename: function (req, file, cb) {
     // Generate unique filename
@@ -22,7 +23,8 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter
+// File filter. The MIME type is only what the client claims; the content is
+// checked by validateUpload once the file has arrived.
 const fileFilter = (req, file, cb) => {
   // Check if file is PDF
   if (file.mimetype === 'application/pdf') {
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import { softDelete } from '../utils/softDelete.js';
+
+// Redaction marks are reviewed by the document's owner before they are
+// applied to the file
+export const REDACTION_STATUSES = ['pending', 'approved', 'rejected', 'applied'];
 
 const annotationSchema = new mongoose.Schema({
   pdf: {
@@ -6,10 +11,20 @@ const annotationSchema = new mongoose.Schema({
     ref: 'PDF',
     required: [true, 'PDF reference is required']
   },
+  // Unset for annotations left by guests through a share link
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: [true, 'User reference is required']
+    required: [function() { return !this.shareLink; }, 'User reference is required']
+  },
+  shareLink: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ShareLink'
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: [1, 'Version must be at least 1']
   },
   page: {
     type: Number,
@@ -18,7 +33,7 @@ const annotationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['highlight', 'text', 'rectangle', 'circle', 'arrow', 'freehand'],
+    enum: ['highlight', 'text', 'rectangle', 'circle', 'arrow', 'freehand', 'redaction'],
     required: [true, 'Annotation type is required']
   },
   content: {
@@ -76,17 +91,37 @@ const annotationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  source: {
+    type: String,
+    enum: ['app', 'pdf', 'xfdf'],
+    default: 'app'
+  },
+  // Author name from outside the app: imported annotations or guests
+  originalAuthor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Original author cannot exceed 100 characters']
+  },
   replies: [{
     user: {
       type: mongoose.Schema.ObjectId,
       ref: 'User',
-      required: true
+      required: function() { return !this.shareLink; }
+    },
+    shareLink: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'ShareLink'
     },
     text: {
       type: String,
       required: true,
       maxlength: [500, 'Reply cannot exceed 500 characters']
     },
+    originalAuthor: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Original author cannot exceed 100 characters']
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -96,6 +131,30 @@ const annotationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Only set on redaction marks
+  redaction: {
+    type: {
+      status: {
+        type: String,
+        enum: REDACTION_STATUSES,
+        default: 'pending'
+      },
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      appliedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      appliedAt: Date,
+      // Revision that has the marked content removed
+      appliedVersion: Number
+    },
+    default: undefined,
+    _id: false
+  },
   tags: [{
     type: String,
     trim: true,
@@ -107,15 +166,26 @@ const annotationSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted documents stay in the trash until restored or purged
+annotationSchema.plugin(softDelete);
+
 // Indexes for better performance
 annotationSchema.index({ pdf: 1, page: 1 });
+annotationSchema.index({ pdf: 1, version: 1 });
 annotationSchema.index({ user: 1, createdAt: -1 });
 annotationSchema.index({ type: 1 });
 annotationSchema.index({ isPrivate: 1 });
+annotationSchema.index({ pdf: 1, 'redaction.status': 1 });
 
 // Virtual for reply count
 annotationSchema.virtual('replyCount').get(function() {
   return this.replies ? this.replies.length : 0;
 });
 
+// Query value for annotations made on a PDF revision; annotations created
+// before versioning have no version and belong to revision 1
+annotationSchema.statics.versionFilter = function(version) {
+  return version === 1 ? { $in: [1, null] } : version;
+};
+
 export default mongoose.model('Annotation', annotationSchema);
\ No newline at end of file
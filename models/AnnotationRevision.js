@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+export const REVISION_ACTIONS = ['created', 'updated', 'reply_added', 'reply_deleted', 'reverted'];
+
+// The state of an annotation after one change to it or its replies
+const annotationRevisionSchema = new mongoose.Schema({
+  annotation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Annotation',
+    required: true
+  },
+  pdf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PDF',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: [1, 'Revision must be at least 1']
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  // Who made the change; guests through a share link have no user
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  shareLink: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ShareLink',
+    default: null
+  },
+  originalAuthor: String,
+  // Set when the change reverted the annotation to an earlier revision
+  revertedTo: Number,
+  snapshot: {
+    content: mongoose.Schema.Types.Mixed,
+    tags: [String],
+    isPrivate: Boolean,
+    isResolved: Boolean,
+    // Replies keep their ids so a revert restores the same replies
+    replies: [{
+      user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      shareLink: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ShareLink'
+      },
+      text: String,
+      originalAuthor: String,
+      createdAt: Date
+    }]
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+annotationRevisionSchema.index({ annotation: 1, revision: 1 }, { unique: true });
+annotationRevisionSchema.index({ pdf: 1 });
+
+export default mongoose.model('AnnotationRevision', annotationRevisionSchema);
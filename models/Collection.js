@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a collection name'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pdfs: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'PDF'
+  }],
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  sharedWith: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ user: 1, createdAt: -1 });
+collectionSchema.index({ sharedWith: 1 });
+collectionSchema.index({ isPublic: 1 });
+collectionSchema.index({ pdfs: 1 });
+
+// Whether a public collection, or one shared with the user, contains the PDF.
+// Sharing a collection shares read access to every document in it.
+const audienceQuery = (userId) => {
+  const audience = [{ isPublic: true }];
+  if (userId) audience.push({ sharedWith: userId });
+  return { $or: audience };
+};
+
+collectionSchema.statics.grantsAccess = async function(pdfId, userId) {
+  const match = await this.exists({ pdfs: pdfId, ...audienceQuery(userId) });
+  return Boolean(match);
+};
+
+// Ids of every PDF the user can open through collections, as above
+collectionSchema.statics.grantedPDFIds = function(userId) {
+  return this.distinct('pdfs', audienceQuery(userId));
+};
+
+export default mongoose.model('Collection', collectionSchema);
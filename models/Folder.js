@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a folder name'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot be more than 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null for top-level folders
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // Every folder above this one, outermost first
+  ancestors: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Folder'
+  }]
+}, {
+  timestamps: true
+});
+
+folderSchema.index({ user: 1, parent: 1, name: 1 }, { unique: true });
+folderSchema.index({ ancestors: 1 });
+
+export default mongoose.model('Folder', folderSchema);
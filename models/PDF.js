@@ -1,4 +1,26 @@
 import mongoose from 'mongoose';
+import { softDelete } from '../utils/softDelete.js';
+
+// Result of the content checks run on upload (utils/pdfValidation.js).
+// Unset for files uploaded before the checks existed.
+const validationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['clean', 'flagged']
+  },
+  encrypted: Boolean,
+  hasJavaScript: Boolean,
+  hasLaunchActions: Boolean,
+  hasEmbeddedFiles: Boolean,
+  validXref: Boolean,
+  findings: [{
+    _id: false,
+    code: String,
+    message: String,
+    action: String
+  }],
+  checkedAt: Date
+}, { _id: false });
 
 const pdfSchema = new mongoose.Schema({
   title: {
@@ -20,14 +42,25 @@ const pdfSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Original name is required']
   },
+  // Local path from before storage drivers; files are now looked up in the
+  // configured storage by `filename`
   filePath: {
-    type: String,
-    required: [true, 'File path is required']
+    type: String
   },
   fileSize: {
     type: Number,
     required: [true, 'File size is required']
   },
+  // SHA-256 of the file content; unset for files stored before deduplication
+  fileHash: {
+    type: String,
+    default: null
+  },
+  // Upload checks of the current revision
+  validation: {
+    type: validationSchema,
+    default: null
+  },
   mimeType: {
     type: String,
     required: [true, 'MIME type is required'],
@@ -51,6 +84,34 @@ const pdfSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Users the owner has shared the document with
+  sharedWith: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'commenter', 'editor'],
+      required: true
+    },
+    sharedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // null for documents at the top level of the library
+  folder: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true,
@@ -59,7 +120,15 @@ const pdfSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: ['processing', 'ready', 'error'],
-    default: 'ready'
+    default: 'processing'
+  },
+  processingError: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
   },
   metadata: {
     author: String,
@@ -70,6 +139,93 @@ const pdfSchema = new mongoose.Schema({
     modificationDate: Date,
     keywords: [String]
   },
+  annotationImport: {
+    imported: Number,
+    skipped: [{
+      _id: false,
+      page: Number,
+      subtype: String,
+      reason: String
+    }],
+    importedAt: Date
+  },
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    filename: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String,
+      required: true
+    },
+    filePath: {
+      type: String
+    },
+    fileSize: {
+      type: Number,
+      required: true
+    },
+    fileHash: {
+      type: String,
+      default: null
+    },
+    validation: {
+      type: validationSchema,
+      default: null
+    },
+    pageCount: {
+      type: Number,
+      default: null
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Version comment cannot be more than 200 characters']
+    },
+    uploadedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    // Set on revisions made by applying redactions to an earlier one
+    redaction: {
+      type: {
+        appliedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User'
+        },
+        appliedAt: Date,
+        basedOn: Number,
+        areas: Number
+      },
+      default: undefined,
+      _id: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set on documents copied from someone else's public PDF
+  forkedFrom: {
+    pdf: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'PDF'
+    },
+    version: Number,
+    forkedAt: Date
+  },
+  forkCount: {
+    type: Number,
+    default: 0
+  },
   accessCount: {
     type: Number,
     default: 0
@@ -84,11 +240,19 @@ const pdfSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted documents stay in the trash until restored or purged
+pdfSchema.plugin(softDelete);
+
 // Indexes for better performance
 pdfSchema.index({ user: 1, createdAt: -1 });
+pdfSchema.index({ user: 1, folder: 1, createdAt: -1 });
 pdfSchema.index({ title: 'text', description: 'text' });
 pdfSchema.index({ tags: 1 });
 pdfSchema.index({ isPublic: 1 });
+pdfSchema.index({ 'sharedWith.user': 1 });
+pdfSchema.index({ user: 1, 'versions.fileHash': 1 });
+pdfSchema.index({ 'validation.status': 1 });
+pdfSchema.index({ 'forkedFrom.pdf': 1 });
 
 // Virtual for annotations
 pdfSchema.virtual('annotations', {
@@ -105,6 +269,45 @@ pdfSchema.virtual('annotationCount', {
   count: true
 });
 
+// Stored revision by number; documents uploaded before versioning only have
+// their top-level file fields, which are treated as version 1
+pdfSchema.methods.getVersion = function(version) {
+  const entry = this.versions.find(v => v.version === version);
+  if (entry) return entry;
+
+  if (version === 1 && this.versions.length === 0) {
+    return {
+      version: 1,
+      filename: this.filename,
+      originalName: this.originalName,
+      fileSize: this.fileSize,
+      fileHash: this.fileHash,
+      validation: this.validation,
+      pageCount: this.pageCount,
+      uploadedBy: this.user,
+      createdAt: this.createdAt
+    };
+  }
+
+  return null;
+};
+
+// Make a stored revision the one served and annotated by default
+pdfSchema.methods.setCurrentVersion = function(entry) {
+  this.currentVersion = entry.version;
+  this.filename = entry.filename;
+  this.originalName = entry.originalName;
+  this.fileSize = entry.fileSize;
+  this.fileHash = entry.fileHash;
+  this.validation = entry.validation;
+  this.pageCount = entry.pageCount;
+};
+
+// Revisions older than a redacted one still contain the removed content
+pdfSchema.methods.predatesRedaction = function(version) {
+  return this.versions.some(entry => entry.redaction && entry.version > version);
+};
+
 // Pre-remove middleware to clean up annotations
 pdfSchema.pre('remove', async function(next) {
   await this.model('Annotation').deleteMany({ pdf: this._id });
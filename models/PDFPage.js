@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const pdfPageSchema = new mongoose.Schema({
+  pdf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PDF',
+    required: [true, 'PDF reference is required']
+  },
+  page: {
+    type: Number,
+    required: [true, 'Page number is required'],
+    min: [1, 'Page number must be at least 1']
+  },
+  text: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+pdfPageSchema.index({ pdf: 1, page: 1 }, { unique: true });
+pdfPageSchema.index({ text: 'text' });
+
+export default mongoose.model('PDFPage', pdfPageSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// One view of a document's details or download of its file
+const pdfViewEventSchema = new mongoose.Schema({
+  pdf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PDF',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'download'],
+    required: true
+  },
+  // Unset for anonymous visitors
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Hash of the anonymous visitor's IP address and user agent, so unique
+  // visitors can be counted without storing either
+  visitorHash: {
+    type: String,
+    default: null
+  },
+  // How the viewer got access: owner, admin, shared, public or share_link
+  source: {
+    type: String,
+    enum: ['owner', 'admin', 'shared', 'public', 'share_link'],
+    required: true
+  },
+  shareLink: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ShareLink',
+    default: null
+  },
+  // What was downloaded: the current file, an older revision or an export
+  resource: {
+    type: String,
+    enum: ['details', 'file', 'version', 'export'],
+    default: 'details'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pdfViewEventSchema.index({ pdf: 1, createdAt: -1 });
+
+export default mongoose.model('PDFViewEvent', pdfViewEventSchema);
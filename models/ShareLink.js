@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const shareLinkSchema = new mongoose.Schema({
+  pdf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PDF',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only shown once, on creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, so owners can tell links apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters']
+  },
+  permission: {
+    type: String,
+    enum: ['view', 'comment'],
+    default: 'view'
+  },
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ pdf: 1, createdAt: -1 });
+shareLinkSchema.index({ createdBy: 1, createdAt: -1 });
+
+shareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+shareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
+shareLinkSchema.methods.setPassword = async function(password) {
+  const salt = await bcrypt.genSalt(10);
+  this.passwordHash = await bcrypt.hash(password, salt);
+  this.hasPassword = true;
+};
+
+// Needs the document to be loaded with +passwordHash
+shareLinkSchema.methods.matchPassword = async function(password) {
+  if (!this.passwordHash || typeof password !== 'string') return false;
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Why the link can no longer be used, or null while it is valid
+shareLinkSchema.methods.getInvalidReason = function() {
+  if (this.revokedAt) return 'This share link has been revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'This share link has expired';
+  return null;
+};
+
+shareLinkSchema.methods.recordUse = async function() {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+};
+
+export default mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One stored blob per distinct file content, shared by every PDF revision
+// with the same SHA-256 hash
+const storedFileSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: [true, 'Hash is required'],
+    unique: true
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required']
+  },
+  refCount: {
+    type: Number,
+    default: 0
+  },
+  // Set once the last reference is gone, while the bytes are being removed;
+  // the record is deleted afterwards
+  deleting: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('StoredFile', storedFileSchema);
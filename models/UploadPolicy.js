@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+export const POLICY_ACTIONS = ['reject', 'flag', 'allow'];
+
+// What happens to uploads with each kind of risky content
+//   reject  the upload fails with the reason
+//   flag    the PDF is stored and marked with the reason
+//   allow   the finding is recorded but nothing else happens
+const policyAction = (defaultAction) => ({
+  type: String,
+  enum: POLICY_ACTIONS,
+  default: defaultAction
+});
+
+// Site-wide upload policy, edited by admins. There is a single document.
+const uploadPolicySchema = new mongoose.Schema({
+  encrypted: policyAction('reject'),
+  javascript: policyAction('flag'),
+  launchActions: policyAction('reject'),
+  embeddedFiles: policyAction('flag'),
+  damagedStructure: policyAction('flag'),
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The stored policy, or the defaults when no admin has changed it yet
+uploadPolicySchema.statics.getPolicy = async function() {
+  return (await this.findOne()) || new this();
+};
+
+export default mongoose.model('UploadPolicy', uploadPolicySchema);
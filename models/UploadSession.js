@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: [true, 'Original name is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'Upload length is required'],
+    min: [1, 'Upload length must be at least 1 byte']
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  // Upload form fields (title, description, tags, isPublic, importAnnotations)
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'failed'],
+    default: 'active'
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  pdf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PDF',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+uploadSessionSchema.index({ user: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+export default mongoose.model('UploadSession', uploadSessionSchema);
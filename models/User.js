@@ -37,6 +37,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Per-user overrides set by admins; null falls back to the role default
+  // (utils/quotas.js)
+  quota: {
+    maxBytes: { type: Number, min: 0, default: null },
+    maxDocuments: { type: Number, min: 0, default: null },
+    maxAnnotations: { type: Number, min: 0, default: null }
+  },
   lastLogin: {
     type: Date,
     default: Date.now
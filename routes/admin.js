@@ -0,0 +1,178 @@
+import express from 'express';
+import UploadPolicy, { POLICY_ACTIONS } from '../models/UploadPolicy.js';
+import PDF from '../models/PDF.js';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { QUOTA_FIELDS, getQuotaReport } from '../utils/quotas.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+const POLICY_FIELDS = ['encrypted', 'javascript', 'launchActions', 'embeddedFiles', 'damagedStructure'];
+
+const formatPolicy = (policy) => ({
+  ...Object.fromEntries(POLICY_FIELDS.map(field => [field, policy[field]])),
+  updatedBy: policy.updatedBy,
+  updatedAt: policy.updatedAt || null
+});
+
+// @desc    Get the upload validation policy
+// @route   GET /api/admin/upload-policy
+// @access  Private/Admin
+router.get('/upload-policy', async (req, res, next) => {
+  try {
+    const policy = await UploadPolicy.getPolicy();
+
+    res.status(200).json({
+      success: true,
+      actions: POLICY_ACTIONS,
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update the upload validation policy. Each field is reject, flag or allow.
+// @route   PUT /api/admin/upload-policy
+// @access  Private/Admin
+router.put('/upload-policy', async (req, res, next) => {
+  try {
+    const updates = {};
+    for (const field of POLICY_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      if (!POLICY_ACTIONS.includes(req.body[field])) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be one of: ${POLICY_ACTIONS.join(', ')}`
+        });
+      }
+      updates[field] = req.body[field];
+    }
+
+    const policy = await UploadPolicy.getPolicy();
+    Object.assign(policy, updates, { updatedBy: req.user.id });
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List PDFs whose current revision was flagged on upload
+// @route   GET /api/admin/flagged-pdfs
+// @access  Private/Admin
+router.get('/flagged-pdfs', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { 'validation.status': 'flagged' };
+    const total = await PDF.countDocuments(query);
+    const pdfs = await PDF.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: pdfs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      pdfs: pdfs.map(pdf => ({
+        id: pdf._id,
+        title: pdf.title,
+        originalName: pdf.originalName,
+        user: pdf.user && { id: pdf.user._id, name: pdf.user.name, email: pdf.user.email },
+        validation: pdf.validation,
+        createdAt: pdf.createdAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const formatQuotaUser = async (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  // Only the overrides; null fields use the role default
+  quota: Object.fromEntries(QUOTA_FIELDS.map(field => [field, user.quota?.[field] ?? null])),
+  usage: await getQuotaReport(user)
+});
+
+// @desc    Get a user's quota overrides and usage
+// @route   GET /api/admin/users/:id/quota
+// @access  Private/Admin
+router.get('/users/:id/quota', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: await formatQuotaUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Override a user's quotas. Each field is a non-negative number, or
+//          null to go back to the default for the user's role.
+// @route   PUT /api/admin/users/:id/quota
+// @access  Private/Admin
+router.put('/users/:id/quota', async (req, res, next) => {
+  try {
+    const updates = {};
+    for (const field of QUOTA_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative integer or null`
+        });
+      }
+      updates[`quota.${field}`] = value;
+    }
+
+    // Updated in place so the password hook on save is not involved
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: updates }, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: await formatQuotaUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
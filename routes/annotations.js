@@ -1,14 +1,70 @@
 import express from 'express';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
 import Annotation from '../models/Annotation.js';
 import PDF from '../models/PDF.js';
 import { protect } from '../middleware/auth.js';
+import { protectOrShareLink } from '../middleware/shareLink.js';
+import { buildXFDF, parseXFDF } from '../utils/xfdf.js';
+import { prepareImportedAnnotations } from '../utils/pdfAnnotationImport.js';
+import { getPageBox } from '../utils/annotationGeometry.js';
+import { getStorage } from '../storage/index.js';
+import { getPDFAccess, visibleAnnotationsQuery } from '../utils/pdfAccess.js';
+import { purgeDate } from '../utils/trash.js';
+import { checkAnnotationQuota } from '../utils/quotas.js';
+import { isRedactionArea } from '../utils/redaction.js';
+import { publishAnnotationEvent, publishDocumentEvent } from '../utils/realtime.js';
+import {
+  diffSnapshots,
+  findRevision,
+  getRevisions,
+  recordRevision,
+  snapshotAnnotation
+} from '../utils/annotationHistory.js';
+import { ANNOTATION_SORT_FIELDS, parseCursorParams, setPaginationLinks } from '../utils/pagination.js';
 
 const router = express.Router();
 
+// Crop box and rotation of every page, used to convert between viewer and PDF
+// coordinates
+const loadPageBoxes = async (pdf) => {
+  const bytes = await getStorage().readFile(pdf.filename);
+  const document = await PDFDocument.load(bytes, {
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+  return document.getPages().map(getPageBox);
+};
+
+// Author fields for new content: the logged-in user, or a named guest when
+// the request came in through a share link
+const authorFields = (req) => (req.user
+  ? { user: req.user.id }
+  : {
+      shareLink: req.shareLink._id,
+      originalAuthor: (req.body.guestName || 'Guest').toString().trim().slice(0, 100) || 'Guest'
+    });
+
+// Tell viewers of the PDF about a changed annotation; `previous` is how it
+// was before, see publishAnnotationEvent
+const publishUpdate = (annotation, previous) => {
+  publishAnnotationEvent('annotation.updated', annotation, { previous });
+  if (annotation.isResolved !== previous.isResolved) {
+    publishAnnotationEvent('annotation.resolved', annotation, {
+      data: { id: annotation._id, pdf: annotation.pdf, isResolved: annotation.isResolved }
+    });
+  }
+};
+
+const xfdfBody = express.text({
+  type: ['application/vnd.adobe.xfdf', 'application/xml', 'text/xml', 'text/plain'],
+  limit: '10mb'
+});
+
 // @desc    Create annotation
 // @route   POST /api/annotations
-// @access  Private
-router.post('/', protect, async (req, res, next) => {
+// @access  Private (or share link with comment permission)
+router.post('/', protectOrShareLink, async (req, res, next) => {
   try {
     const { pdfId, page, type, content, isPrivate, tags } = req.body;
 
@@ -29,28 +85,60 @@ router.post('/', protect, async (req, res, next) => {
       });
     }
 
-    const hasAccess = pdf.user.toString() === req.user.id || pdf.isPublic;
-    if (!hasAccess) {
+    const access = await getPDFAccess(pdf, req.user, req.shareLink);
+    if (!access.canComment) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to annotate this PDF'
       });
     }
 
+    // Redaction marks end up changing the file, so they take edit rights
+    const isRedaction = type === 'redaction';
+    if (isRedaction && !(req.user && access.canEdit)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to mark redactions on this PDF'
+      });
+    }
+    if (isRedaction && !isRedactionArea(content)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A redaction needs an area with a width and height'
+      });
+    }
+
+    // Guests have no quota of their own
+    const overQuota = req.user && await checkAnnotationQuota(req.user);
+    if (overQuota) {
+      return res.status(overQuota.status).json({
+        success: false,
+        message: overQuota.message
+      });
+    }
+
     const annotation = await Annotation.create({
       pdf: pdfId,
-      user: req.user.id,
+      ...authorFields(req),
+      version: pdf.currentVersion || 1,
       page,
       type,
       content,
-      isPrivate: isPrivate || false,
+      // Guests could never see their own private annotations again, and
+      // redaction marks are reviewed by the owner
+      isPrivate: Boolean(req.user && isPrivate && !isRedaction),
+      redaction: isRedaction ? { status: 'pending' } : undefined,
       tags: tags || []
     });
 
+    await recordRevision(annotation, { action: 'created', author: authorFields(req) });
+
     const populatedAnnotation = await Annotation.findById(annotation._id)
       .populate('user', 'name')
       .populate('replies.user', 'name');
 
+    publishAnnotationEvent('annotation.created', populatedAnnotation);
+
     res.status(201).json({
       success: true,
       message: 'Annotation created successfully',
@@ -61,13 +149,28 @@ router.post('/', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Get annotations for a PDF
+// @desc    Get annotations for a PDF. ?page= filters by page number;
+//          results are paginated with ?cursor=, ?limit= and ?sort= (createdAt,
+//          updatedAt or page; prefix with - for descending).
 // @route   GET /api/annotations/pdf/:pdfId
-// @access  Private/Public (depends on PDF visibility)
-router.get('/pdf/:pdfId', protect, async (req, res, next) => {
+// @access  Private/Public (depends on PDF visibility, or share link)
+router.get('/pdf/:pdfId', protectOrShareLink, async (req, res, next) => {
   try {
     const { pdfId } = req.params;
-    const { page, type, isResolved } = req.query;
+    const { page, type, isResolved, version } = req.query;
+
+    // Viewers load a whole document's annotations, so pages are larger here
+    const listing = parseCursorParams(req.query, {
+      sortFields: ANNOTATION_SORT_FIELDS,
+      defaultLimit: 100,
+      maxLimit: 500
+    });
+    if (listing.error) {
+      return res.status(400).json({
+        success: false,
+        message: listing.error
+      });
+    }
 
     // Check if PDF exists and user has access
     const pdf = await PDF.findById(pdfId);
@@ -78,34 +181,36 @@ router.get('/pdf/:pdfId', protect, async (req, res, next) => {
       });
     }
 
-    const hasAccess = pdf.user.toString() === req.user.id || pdf.isPublic;
-    if (!hasAccess) {
+    const access = await getPDFAccess(pdf, req.user, req.shareLink);
+    if (!access.canView) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view annotations for this PDF'
       });
     }
 
-    // Build query
-    let query = { pdf: pdfId };
-    
-    // Only show public annotations if user doesn't own the PDF
-    if (pdf.user.toString() !== req.user.id) {
-      query.isPrivate = false;
-    }
+    // Build query; others only see public annotations and their own private ones
+    let query = { pdf: pdfId, ...visibleAnnotationsQuery(access, req.user) };
 
     if (page) query.page = parseInt(page);
+    if (version) query.version = Annotation.versionFilter(parseInt(version));
     if (type) query.type = type;
     if (isResolved !== undefined) query.isResolved = isResolved === 'true';
 
-    const annotations = await Annotation.find(query)
-      .sort({ createdAt: -1 })
+    const results = await Annotation.find(listing.filter(query))
+      .sort(listing.order)
+      .limit(listing.limit + 1)
       .populate('user', 'name')
       .populate('replies.user', 'name');
+    const { items: annotations, hasMore, nextCursor } = listing.finish(results);
+    setPaginationLinks(req, res, nextCursor);
 
     res.status(200).json({
       success: true,
       count: annotations.length,
+      hasMore,
+      nextCursor,
+      sort: listing.sort,
       annotations
     });
   } catch (error) {
@@ -113,34 +218,191 @@ router.get('/pdf/:pdfId', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Get user's annotations
+// @desc    Export annotations for a PDF as XFDF
+// @route   GET /api/annotations/pdf/:pdfId/xfdf
+// @access  Private/Public (depends on PDF visibility, or share link)
+router.get('/pdf/:pdfId/xfdf', protectOrShareLink, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.pdfId);
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user, req.shareLink);
+    if (!access.canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view annotations for this PDF'
+      });
+    }
+
+    const version = parseInt(req.query.version) || pdf.currentVersion;
+    const query = {
+      pdf: pdf._id,
+      version: Annotation.versionFilter(version),
+      ...visibleAnnotationsQuery(access, req.user)
+    };
+
+    const annotations = await Annotation.find(query)
+      .sort({ createdAt: 1 })
+      .populate('user', 'name')
+      .populate('replies.user', 'name');
+
+    let pageBoxes;
+    try {
+      pageBoxes = await loadPageBoxes(pdf);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF file not found on server'
+      });
+    }
+
+    const xfdf = buildXFDF({ annotations, pageBoxes, filename: pdf.originalName });
+    const filename = `${path.basename(pdf.originalName, path.extname(pdf.originalName))}.xfdf`;
+
+    res.setHeader('Content-Type', 'application/vnd.adobe.xfdf; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(xfdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Import annotations for a PDF from XFDF
+// @route   POST /api/annotations/pdf/:pdfId/xfdf
+// @access  Private
+router.post('/pdf/:pdfId/xfdf', protect, xfdfBody, async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please send an XFDF document as the request body'
+      });
+    }
+
+    // Same access check as POST /api/annotations
+    const pdf = await PDF.findById(req.params.pdfId);
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canComment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to annotate this PDF'
+      });
+    }
+
+    let pageBoxes;
+    try {
+      pageBoxes = await loadPageBoxes(pdf);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF file not found on server'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseXFDF(req.body, pageBoxes);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid XFDF document'
+      });
+    }
+
+    const { valid, invalid } = prepareImportedAnnotations(parsed.annotations, {
+      pdf: pdf._id,
+      user: req.user.id,
+      version: pdf.currentVersion || 1,
+      source: 'xfdf',
+      isPrivate: req.query.isPrivate === 'true'
+    });
+
+    const skipped = [
+      ...parsed.skipped,
+      ...invalid.map(({ entry, reason }) => ({
+        element: entry.type,
+        page: entry.page,
+        reason
+      }))
+    ];
+
+    const overQuota = valid.length && await checkAnnotationQuota(req.user, valid.length);
+    if (overQuota) {
+      return res.status(overQuota.status).json({
+        success: false,
+        message: overQuota.message
+      });
+    }
+
+    const created = valid.length ? await Annotation.insertMany(valid) : [];
+
+    // Too many to send one by one; viewers reload the page's annotations
+    if (created.length) {
+      publishDocumentEvent(pdf._id, 'annotations.imported', {
+        user: { id: req.user._id, name: req.user.name },
+        count: created.length,
+        isPrivate: req.query.isPrivate === 'true'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} annotation${created.length === 1 ? '' : 's'}`,
+      imported: created.length,
+      skipped
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get user's annotations (cursor paginated like GET /api/annotations/pdf/:pdfId)
 // @route   GET /api/annotations/my
 // @access  Private
 router.get('/my', protect, async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const listing = parseCursorParams(req.query, {
+      sortFields: ANNOTATION_SORT_FIELDS,
+      defaultLimit: 20
+    });
+    if (listing.error) {
+      return res.status(400).json({
+        success: false,
+        message: listing.error
+      });
+    }
 
     let query = { user: req.user.id };
     
     if (req.query.type) query.type = req.query.type;
     if (req.query.isResolved !== undefined) query.isResolved = req.query.isResolved === 'true';
 
-    const total = await Annotation.countDocuments(query);
-    const annotations = await Annotation.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
+    const results = await Annotation.find(listing.filter(query))
+      .sort(listing.order)
+      .limit(listing.limit + 1)
       .populate('pdf', 'title originalName')
       .populate('replies.user', 'name');
+    const { items: annotations, hasMore, nextCursor } = listing.finish(results);
+    setPaginationLinks(req, res, nextCursor);
 
     res.status(200).json({
       success: true,
       count: annotations.length,
-      total,
-      page,
-      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor,
+      sort: listing.sort,
       annotations
     });
   } catch (error) {
@@ -162,28 +424,55 @@ router.put('/:id', protect, async (req, res, next) => {
       });
     }
 
-    // Make sure user owns annotation
-    if (annotation.user.toString() !== req.user.id) {
+    // Make sure user owns annotation and can still comment on the PDF
+    const pdf = await PDF.findById(annotation.pdf);
+    const access = pdf ? await getPDFAccess(pdf, req.user) : null;
+    if (annotation.user?.toString() !== req.user.id || !access?.canComment) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this annotation'
       });
     }
 
+    const isRedaction = annotation.type === 'redaction';
+    if (isRedaction && annotation.redaction?.status === 'applied') {
+      return res.status(409).json({
+        success: false,
+        message: 'This redaction has been applied and can no longer be changed'
+      });
+    }
+
     const updateFields = {};
     const { content, isPrivate, isResolved, tags } = req.body;
 
     if (content) updateFields.content = { ...annotation.content, ...content };
-    if (typeof isPrivate === 'boolean') updateFields.isPrivate = isPrivate;
+    if (typeof isPrivate === 'boolean' && !isRedaction) updateFields.isPrivate = isPrivate;
+
+    // A moved or resized redaction has to be reviewed again
+    if (content && isRedaction) {
+      if (!isRedactionArea(updateFields.content)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A redaction needs an area with a width and height'
+        });
+      }
+      updateFields.redaction = { status: 'pending' };
+    }
     if (typeof isResolved === 'boolean') updateFields.isResolved = isResolved;
     if (tags) updateFields.tags = tags;
 
+    const before = snapshotAnnotation(annotation);
+    const previous = { isPrivate: annotation.isPrivate, isResolved: annotation.isResolved, user: annotation.user };
+
     annotation = await Annotation.findByIdAndUpdate(
       req.params.id,
       updateFields,
       { new: true, runValidators: true }
     ).populate('user', 'name').populate('replies.user', 'name');
 
+    await recordRevision(annotation, { action: 'updated', author: { user: req.user._id }, before });
+    publishUpdate(annotation, previous);
+
     res.status(200).json({
       success: true,
       message: 'Annotation updated successfully',
@@ -194,7 +483,218 @@ router.put('/:id', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Delete annotation
+// @desc    Get the history of an annotation: every revision, oldest first,
+//          with its author and the fields it changed
+// @route   GET /api/annotations/:id/history
+// @access  Private/Public (depends on PDF visibility, or share link)
+router.get('/:id/history', protectOrShareLink, async (req, res, next) => {
+  try {
+    const annotation = await Annotation.findById(req.params.id);
+
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    const pdf = await PDF.findById(annotation.pdf);
+    const access = pdf ? await getPDFAccess(pdf, req.user, req.shareLink) : null;
+    const isAuthor = req.user && annotation.user?.toString() === req.user.id;
+    if (!access?.canView || (annotation.isPrivate && !access.isOwner && !isAuthor)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this annotation'
+      });
+    }
+
+    // Revisions from while the annotation was private are only shown to its
+    // author and the PDF owner; others see changes between public revisions
+    const all = await getRevisions(annotation);
+    const revisions = access.isOwner || isAuthor
+      ? all
+      : all.filter(revision => !revision.snapshot.isPrivate);
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      currentRevision: all[all.length - 1].revision,
+      revisions: revisions.map((revision, index) => ({
+        revision: revision.revision,
+        action: revision.action,
+        user: revision.user,
+        originalAuthor: revision.originalAuthor,
+        revertedTo: revision.revertedTo,
+        createdAt: revision.createdAt,
+        changes: diffSnapshots(index > 0 ? revisions[index - 1].snapshot : null, revision.snapshot)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revert an annotation and its replies to an earlier revision. The
+//          revert is recorded as a new revision.
+// @route   POST /api/annotations/:id/revert
+// @access  Private (annotation author or PDF owner)
+router.post('/:id/revert', protect, async (req, res, next) => {
+  try {
+    const revision = parseInt(req.body.revision, 10);
+    if (!Number.isInteger(revision) || revision < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A revision number is required'
+      });
+    }
+
+    const annotation = await Annotation.findById(req.params.id);
+
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    // Authors who can still comment on the PDF, and the PDF's owner
+    const pdf = await PDF.findById(annotation.pdf);
+    const access = pdf ? await getPDFAccess(pdf, req.user) : null;
+    const isAuthor = annotation.user?.toString() === req.user.id && access?.canComment;
+    if (!isAuthor && !access?.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revert this annotation'
+      });
+    }
+
+    const isRedaction = annotation.type === 'redaction';
+    if (isRedaction && annotation.redaction?.status === 'applied') {
+      return res.status(409).json({
+        success: false,
+        message: 'This redaction has been applied and can no longer be changed'
+      });
+    }
+
+    const target = await findRevision(annotation, revision);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const before = snapshotAnnotation(annotation);
+    const changes = diffSnapshots(before, target.snapshot);
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The annotation already matches revision ${revision}`
+      });
+    }
+
+    const { content, tags, isPrivate, isResolved, replies } = target.snapshot;
+
+    // Same as an edit: a moved redaction has to be reviewed again
+    if (isRedaction && changes.some(change => change.field.startsWith('content.'))) {
+      if (!isRedactionArea(content)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A redaction needs an area with a width and height'
+        });
+      }
+      annotation.redaction = { status: 'pending' };
+    }
+
+    annotation.content = content;
+    annotation.tags = tags;
+    if (!isRedaction) annotation.isPrivate = isPrivate;
+    annotation.isResolved = isResolved;
+    annotation.replies = replies;
+    await annotation.save();
+
+    const current = await recordRevision(annotation, {
+      action: 'reverted',
+      author: { user: req.user._id },
+      before,
+      revertedTo: revision
+    });
+    publishUpdate(annotation, { isPrivate: before.isPrivate, isResolved: before.isResolved, user: annotation.user });
+
+    const populatedAnnotation = await Annotation.findById(annotation._id)
+      .populate('user', 'name')
+      .populate('replies.user', 'name');
+
+    res.status(200).json({
+      success: true,
+      message: `Annotation reverted to revision ${revision}`,
+      revision: current,
+      annotation: populatedAnnotation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Approve or reject a redaction mark. Approved marks are removed
+//          from the file by POST /api/pdfs/:id/redactions/apply.
+// @route   PUT /api/annotations/:id/redaction
+// @access  Private (document owner)
+router.put('/:id/redaction', protect, async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be approved or rejected'
+      });
+    }
+
+    const annotation = await Annotation.findById(req.params.id);
+
+    if (!annotation || annotation.type !== 'redaction') {
+      return res.status(404).json({
+        success: false,
+        message: 'Redaction not found'
+      });
+    }
+
+    const pdf = await PDF.findById(annotation.pdf);
+    const access = pdf ? await getPDFAccess(pdf, req.user) : null;
+    if (!access?.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner of the PDF can review redactions'
+      });
+    }
+
+    if (annotation.redaction?.status === 'applied') {
+      return res.status(409).json({
+        success: false,
+        message: 'This redaction has already been applied'
+      });
+    }
+
+    annotation.redaction = {
+      status,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    await annotation.save();
+
+    publishAnnotationEvent('annotation.updated', annotation);
+
+    res.status(200).json({
+      success: true,
+      message: `Redaction ${status}`,
+      annotation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Move annotation to the trash
 // @route   DELETE /api/annotations/:id
 // @access  Private
 router.delete('/:id', protect, async (req, res, next) => {
@@ -208,19 +708,30 @@ router.delete('/:id', protect, async (req, res, next) => {
       });
     }
 
-    // Make sure user owns annotation or is admin
-    if (annotation.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Authors can delete their own annotations; PDF editors and owners can
+    // delete any
+    const pdf = await PDF.findById(annotation.pdf);
+    const access = pdf ? await getPDFAccess(pdf, req.user) : null;
+    if (annotation.user?.toString() !== req.user.id && !access?.canEdit) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this annotation'
       });
     }
 
-    await Annotation.findByIdAndDelete(req.params.id);
+    annotation.deletedAt = new Date();
+    annotation.deletedBy = req.user.id;
+    await annotation.save();
+
+    publishAnnotationEvent('annotation.deleted', annotation, {
+      data: { id: annotation._id, pdf: annotation.pdf }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Annotation deleted successfully'
+      message: 'Annotation moved to trash',
+      deletedAt: annotation.deletedAt,
+      purgeAt: purgeDate(annotation.deletedAt)
     });
   } catch (error) {
     next(error);
@@ -229,8 +740,8 @@ router.delete('/:id', protect, async (req, res, next) => {
 
 // @desc    Add reply to annotation
 // @route   POST /api/annotations/:id/replies
-// @access  Private
-router.post('/:id/replies', protect, async (req, res, next) => {
+// @access  Private (or share link with comment permission)
+router.post('/:id/replies', protectOrShareLink, async (req, res, next) => {
   try {
     const { text } = req.body;
 
@@ -250,28 +761,40 @@ router.post('/:id/replies', protect, async (req, res, next) => {
       });
     }
 
-    // Check if user has access to the PDF
+    // Check if user can comment on the PDF and see the annotation
     const pdf = await PDF.findById(annotation.pdf);
-    const hasAccess = pdf.user.toString() === req.user.id || pdf.isPublic;
-    
-    if (!hasAccess || annotation.isPrivate) {
+    const access = pdf ? await getPDFAccess(pdf, req.user, req.shareLink) : null;
+    const canSee = !annotation.isPrivate || access?.isOwner ||
+      (req.user && annotation.user?.toString() === req.user.id);
+
+    if (!access?.canComment || !canSee) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to reply to this annotation'
       });
     }
 
+    const before = snapshotAnnotation(annotation);
     annotation.replies.push({
-      user: req.user.id,
+      ...authorFields(req),
       text: text.trim()
     });
 
     await annotation.save();
+    await recordRevision(annotation, { action: 'reply_added', author: authorFields(req), before });
 
     const updatedAnnotation = await Annotation.findById(annotation._id)
       .populate('user', 'name')
       .populate('replies.user', 'name');
 
+    publishAnnotationEvent('reply.created', updatedAnnotation, {
+      data: {
+        id: updatedAnnotation._id,
+        pdf: updatedAnnotation.pdf,
+        reply: updatedAnnotation.replies[updatedAnnotation.replies.length - 1]
+      }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Reply added successfully',
@@ -305,18 +828,26 @@ router.delete('/:id/replies/:replyId', protect, async (req, res, next) => {
       });
     }
 
-    // Make sure user owns reply or annotation
-    if (reply.user.toString() !== req.user.id && 
-        annotation.user.toString() !== req.user.id && 
-        req.user.role !== 'admin') {
+    // Make sure user owns reply or annotation, or can edit the PDF
+    const pdf = await PDF.findById(annotation.pdf);
+    const access = pdf ? await getPDFAccess(pdf, req.user) : null;
+    if (reply.user?.toString() !== req.user.id &&
+        annotation.user?.toString() !== req.user.id &&
+        !access?.canEdit) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this reply'
       });
     }
 
+    const before = snapshotAnnotation(annotation);
     reply.remove();
     await annotation.save();
+    await recordRevision(annotation, { action: 'reply_deleted', author: { user: req.user._id }, before });
+
+    publishAnnotationEvent('reply.deleted', annotation, {
+      data: { id: annotation._id, pdf: annotation.pdf, reply: reply._id }
+    });
 
     res.status(200).json({
       success: true,
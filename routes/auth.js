@@ -2,6 +2,7 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { protect } from '../middleware/auth.js';
+import { getQuotaReport } from '../utils/quotas.js';
 
 const router = express.Router();
 
@@ -160,7 +161,8 @@ router.get('/me', protect, async (req, res, next) => {
         avatar: user.avatar,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
-      }
+      },
+      usage: await getQuotaReport(user)
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,439 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Collection from '../models/Collection.js';
+import PDF from '../models/PDF.js';
+import User from '../models/User.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const formatCollection = (collection) => ({
+  id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  isPublic: collection.isPublic,
+  pdfCount: collection.pdfs.length,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+// @desc    Create collection
+// @route   POST /api/collections
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    const collection = await Collection.create({
+      name,
+      description,
+      isPublic: isPublic === true,
+      user: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      collection: formatCollection(collection)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the user's collections
+// @route   GET /api/collections
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const collections = await Collection.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: collections.length,
+      collections: collections.map(formatCollection)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get collections shared with the user
+// @route   GET /api/collections/shared
+// @access  Private
+router.get('/shared', protect, async (req, res, next) => {
+  try {
+    const collections = await Collection.find({ sharedWith: req.user.id })
+      .sort({ updatedAt: -1 })
+      .populate('user', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: collections.length,
+      collections: collections.map(collection => ({
+        ...formatCollection(collection),
+        owner: collection.user?.name || 'Anonymous'
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get public collections
+// @route   GET /api/collections/public
+// @access  Public
+router.get('/public', optionalAuth, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { isPublic: true };
+    const total = await Collection.countDocuments(query);
+    const collections = await Collection.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: collections.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      collections: collections.map(collection => ({
+        ...formatCollection(collection),
+        owner: collection.user?.name || 'Anonymous'
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get collection with its documents
+// @route   GET /api/collections/:id
+// @access  Private/Public (owner, shared users, or anyone if public)
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id)
+      .populate('user', 'name')
+      .populate('pdfs', 'title description originalName fileSize pageCount tags status createdAt')
+      .populate('sharedWith', 'name email');
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const userId = req.user?.id;
+    const isOwner = Boolean(userId) && collection.user._id.toString() === userId;
+    const isShared = Boolean(userId) && collection.sharedWith.some(user => user._id.toString() === userId);
+
+    if (!collection.isPublic && !isOwner && !isShared) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this collection'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      collection: {
+        ...formatCollection(collection),
+        owner: collection.user?.name || 'Anonymous',
+        isOwner,
+        // Only the owner sees who else has access
+        ...(isOwner && {
+          sharedWith: collection.sharedWith.map(user => ({
+            id: user._id,
+            name: user.name,
+            email: user.email
+          }))
+        }),
+        pdfs: collection.pdfs.map(pdf => ({
+          id: pdf._id,
+          title: pdf.title,
+          description: pdf.description,
+          originalName: pdf.originalName,
+          fileSize: pdf.fileSize,
+          pageCount: pdf.pageCount,
+          tags: pdf.tags,
+          status: pdf.status,
+          createdAt: pdf.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update collection
+// @route   PUT /api/collections/:id
+// @access  Private
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    let collection = await Collection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this collection'
+      });
+    }
+
+    const { name, description, isPublic } = req.body;
+    const updateFields = {};
+
+    if (name) updateFields.name = name;
+    if (description !== undefined) updateFields.description = description;
+    if (typeof isPublic === 'boolean') updateFields.isPublic = isPublic;
+
+    collection = await Collection.findByIdAndUpdate(req.params.id, updateFields, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      collection: formatCollection(collection)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete collection (documents are not affected)
+// @route   DELETE /api/collections/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this collection'
+      });
+    }
+
+    await collection.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add documents to collection
+// @route   POST /api/collections/:id/pdfs
+// @access  Private
+router.post('/:id/pdfs', protect, async (req, res, next) => {
+  try {
+    const { pdfIds } = req.body;
+
+    if (!Array.isArray(pdfIds) || pdfIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an array of PDF ids'
+      });
+    }
+
+    const collection = await Collection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this collection'
+      });
+    }
+
+    // Sharing a collection shares its documents, so only the owner's own
+    // documents can go in
+    const validIds = pdfIds.filter(id => mongoose.isValidObjectId(id));
+    const pdfs = await PDF.find({ _id: { $in: validIds }, user: req.user.id }).select('_id');
+    if (pdfs.length !== new Set(pdfIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only your own PDFs can be added to a collection'
+      });
+    }
+
+    const updated = await Collection.findByIdAndUpdate(
+      collection._id,
+      { $addToSet: { pdfs: { $each: pdfs.map(pdf => pdf._id) } } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      collection: formatCollection(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove a document from collection
+// @route   DELETE /api/collections/:id/pdfs/:pdfId
+// @access  Private
+router.delete('/:id/pdfs/:pdfId', protect, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this collection'
+      });
+    }
+
+    const updated = await Collection.findByIdAndUpdate(
+      collection._id,
+      { $pull: { pdfs: req.params.pdfId } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      collection: formatCollection(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Share collection with a user
+// @route   POST /api/collections/:id/share
+// @access  Private
+router.post('/:id/share', protect, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const collection = await Collection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share this collection'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this collection'
+      });
+    }
+
+    await Collection.findByIdAndUpdate(collection._id, {
+      $addToSet: { sharedWith: user._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection shared successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Stop sharing collection with a user
+// @route   DELETE /api/collections/:id/share/:userId
+// @access  Private
+router.delete('/:id/share/:userId', protect, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    // The owner can remove anyone; a user can remove themselves
+    if (collection.user.toString() !== req.user.id && req.params.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this collection'
+      });
+    }
+
+    await Collection.findByIdAndUpdate(collection._id, {
+      $pull: { sharedWith: req.params.userId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection is no longer shared with this user'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,308 @@
+import express from 'express';
+import Folder from '../models/Folder.js';
+import PDF from '../models/PDF.js';
+import { protect } from '../middleware/auth.js';
+import {
+  MAX_FOLDER_DEPTH,
+  isRootFolder,
+  findUserFolder,
+  buildBreadcrumbs,
+  formatFolder
+} from '../utils/folders.js';
+
+const router = express.Router();
+
+const nameTaken = (userId, parent, name, excludeId) => Folder.exists({
+  user: userId,
+  parent,
+  name,
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @desc    Create folder
+// @route   POST /api/folders
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const { name, parent } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a folder name'
+      });
+    }
+
+    let parentFolder = null;
+    if (!isRootFolder(parent ?? null)) {
+      parentFolder = await findUserFolder(parent, req.user.id);
+      if (!parentFolder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent folder not found'
+        });
+      }
+    }
+
+    const ancestors = parentFolder ? [...parentFolder.ancestors, parentFolder._id] : [];
+    if (ancestors.length >= MAX_FOLDER_DEPTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`
+      });
+    }
+
+    if (await nameTaken(req.user.id, parentFolder?._id || null, name.trim())) {
+      return res.status(409).json({
+        success: false,
+        message: 'A folder with this name already exists here'
+      });
+    }
+
+    const folder = await Folder.create({
+      name,
+      user: req.user.id,
+      parent: parentFolder?._id || null,
+      ancestors
+    });
+
+    res.status(201).json({
+      success: true,
+      folder: formatFolder(folder)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the user's folders, optionally only the children of one folder
+// @route   GET /api/folders?parent=<id|root>
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+
+    if (req.query.parent !== undefined) {
+      if (isRootFolder(req.query.parent)) {
+        query.parent = null;
+      } else {
+        const parent = await findUserFolder(req.query.parent, req.user.id);
+        if (!parent) {
+          return res.status(404).json({
+            success: false,
+            message: 'Parent folder not found'
+          });
+        }
+        query.parent = parent._id;
+      }
+    }
+
+    const folders = await Folder.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: folders.length,
+      folders: folders.map(formatFolder)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get folder with breadcrumbs and subfolders
+// @route   GET /api/folders/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const folder = await Folder.findById(req.params.id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    if (folder.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this folder'
+      });
+    }
+
+    const [breadcrumbs, subfolders, pdfCount] = await Promise.all([
+      buildBreadcrumbs(folder),
+      Folder.find({ parent: folder._id }).sort({ name: 1 }),
+      PDF.countDocuments({ folder: folder._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      folder: {
+        ...formatFolder(folder),
+        breadcrumbs,
+        subfolders: subfolders.map(formatFolder),
+        pdfCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename and/or move folder
+// @route   PUT /api/folders/:id
+// @access  Private
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    const folder = await Folder.findById(req.params.id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    if (folder.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this folder'
+      });
+    }
+
+    const { name, parent } = req.body;
+    const previousDepth = folder.ancestors.length;
+    let moved = false;
+
+    if (parent !== undefined) {
+      let target = null;
+      if (!isRootFolder(parent)) {
+        target = await findUserFolder(parent, req.user.id);
+        if (!target) {
+          return res.status(404).json({
+            success: false,
+            message: 'Destination folder not found'
+          });
+        }
+
+        if (target._id.equals(folder._id) || target.ancestors.some(id => id.equals(folder._id))) {
+          return res.status(400).json({
+            success: false,
+            message: 'A folder cannot be moved into itself or one of its subfolders'
+          });
+        }
+      }
+
+      const ancestors = target ? [...target.ancestors, target._id] : [];
+
+      // The whole subtree moves, so its deepest folder decides whether it fits
+      const [deepest] = await Folder.aggregate([
+        { $match: { ancestors: folder._id } },
+        { $group: { _id: null, depth: { $max: { $size: '$ancestors' } } } }
+      ]);
+      const subtreeDepth = deepest ? deepest.depth - previousDepth : 0;
+      if (ancestors.length + 1 + subtreeDepth > MAX_FOLDER_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`
+        });
+      }
+
+      moved = String(folder.parent) !== String(target?._id || null);
+      folder.parent = target?._id || null;
+      folder.ancestors = ancestors;
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please add a folder name'
+        });
+      }
+      folder.name = name;
+    }
+
+    if (await nameTaken(req.user.id, folder.parent, folder.name.trim(), folder._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A folder with this name already exists here'
+      });
+    }
+
+    await folder.save();
+
+    // Rewrite the ancestor paths of everything below the moved folder
+    if (moved) {
+      const descendants = await Folder.find({ ancestors: folder._id }).select('ancestors');
+      if (descendants.length > 0) {
+        await Folder.bulkWrite(descendants.map(descendant => {
+          const below = descendant.ancestors.slice(previousDepth);
+          return {
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: { $set: { ancestors: [...folder.ancestors, ...below] } }
+            }
+          };
+        }));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      folder: formatFolder(folder)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete folder. Non-empty folders need ?recursive=true, which also
+//          deletes subfolders; documents inside move to the parent folder.
+// @route   DELETE /api/folders/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const folder = await Folder.findById(req.params.id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    if (folder.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this folder'
+      });
+    }
+
+    const descendants = await Folder.find({ ancestors: folder._id }).select('_id');
+    const folderIds = [folder._id, ...descendants.map(descendant => descendant._id)];
+    const pdfCount = await PDF.countDocuments({ folder: { $in: folderIds } });
+
+    if ((descendants.length > 0 || pdfCount > 0) && req.query.recursive !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: 'Folder is not empty. Pass recursive=true to delete it with its subfolders.'
+      });
+    }
+
+    await PDF.updateMany({ folder: { $in: folderIds } }, { folder: folder.parent });
+    await Folder.deleteMany({ _id: { $in: folderIds } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder deleted successfully',
+      deletedFolders: folderIds.length,
+      movedPDFs: pdfCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
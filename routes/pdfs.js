@@ -1,13 +1,92 @@
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
+import mongoose from 'mongoose';
 import PDF from '../models/PDF.js';
 import Annotation from '../models/Annotation.js';
+import PDFPage from '../models/PDFPage.js';
+import Folder from '../models/Folder.js';
+import User from '../models/User.js';
 import { protect, optionalAuth } from '../middleware/auth.js';
+import { shareLinkAuth } from '../middleware/shareLink.js';
 import upload, { handleMulterError } from '../middleware/upload.js';
+import { queuePDFProcessing } from '../utils/pdfProcessor.js';
+import { createPDFFromFile, parseUploadFields, formatUploadedPDF } from '../utils/pdfIngest.js';
+import { parseSearchTerms, buildSnippet } from '../utils/textSearch.js';
+import { sendFile } from '../utils/fileResponse.js';
+import { validateUpload } from '../utils/pdfValidation.js';
+import { checkUploadQuota } from '../utils/quotas.js';
+import {
+  ANALYTICS_INTERVALS,
+  MAX_BUCKETS,
+  countBuckets,
+  recordPDFEvent,
+  buildPDFAnalytics
+} from '../utils/pdfAnalytics.js';
+import { storeFile, releaseFile } from '../utils/fileStore.js';
+import { getStorage } from '../storage/index.js';
+import { isRootFolder, findUserFolder, buildBreadcrumbs, formatFolder } from '../utils/folders.js';
+import {
+  SHARE_ROLES,
+  getPDFAccess,
+  visibleAnnotationsQuery,
+  accessiblePDFsQuery
+} from '../utils/pdfAccess.js';
+import { exportAnnotatedPDF, EXPORT_MODES } from '../utils/pdfExport.js';
+import { trashPDF, purgeDate } from '../utils/trash.js';
+import {
+  BULK_LIMIT,
+  buildLibraryQuery,
+  validateBulkAction,
+  applyBulkAction
+} from '../utils/pdfBulk.js';
+import { PDF_SORT_FIELDS, parseCursorParams, setPaginationLinks } from '../utils/pagination.js';
+import { ARCHIVE_LIMIT, buildFolderPaths, streamPDFArchive } from '../utils/pdfArchive.js';
+import {
+  MAX_MERGE_SOURCES,
+  parsePageSelection,
+  planPageOperation,
+  loadSourceDocument,
+  derivedTitle,
+  createDerivedPDFs
+} from '../utils/pageOperations.js';
+import { forkPDF } from '../utils/pdfFork.js';
+import { applyRedactions } from '../utils/redaction.js';
 
 const router = express.Router();
 
+// Remove a file multer stored for a request we are rejecting
+const discardUpload = (file) => {
+  if (!file) return;
+  // Already gone if it was moved into storage before the failure
+  fs.rm(file.path, { force: true }, (err) => {
+    if (err) console.error('Failed to delete uploaded file:', err);
+  });
+};
+
+const formatShare = (share) => ({
+  user: {
+    id: share.user._id,
+    name: share.user.name,
+    email: share.user.email
+  },
+  role: share.role,
+  sharedAt: share.sharedAt
+});
+
+const formatVersion = (entry, currentVersion) => ({
+  version: entry.version,
+  originalName: entry.originalName,
+  fileSize: entry.fileSize,
+  pageCount: entry.pageCount,
+  validation: entry.validation,
+  comment: entry.comment,
+  uploadedBy: entry.uploadedBy,
+  redaction: entry.redaction || null,
+  isCurrent: entry.version === currentVersion,
+  createdAt: entry.createdAt
+});
+
 // @desc    Upload PDF
 // @route   POST /api/pdfs/upload
 // @access  Private
@@ -20,100 +99,112 @@ router.post('/upload', protect, upload.single('pdf'), handleMulterError, async (
       });
     }
 
-    const { title, description, tags, isPublic } = req.body;
+    const fields = parseUploadFields(req.body);
+    if (fields.folder && !(await findUserFolder(fields.folder, req.user.id))) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
 
-    // Parse tags if provided
-    let parsedTags = [];
-    if (tags) {
-      try {
-        parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
-      } catch (error) {
-        parsedTags = [];
-      }
+    const overQuota = await checkUploadQuota(req.user, { bytes: req.file.size });
+    if (overQuota) {
+      discardUpload(req.file);
+      return res.status(overQuota.status).json({
+        success: false,
+        message: overQuota.message
+      });
     }
 
-    const pdf = await PDF.create({
-      title: title || req.file.originalname,
-      description: description || '',
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      filePath: req.file.path,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      user: req.user.id,
-      isPublic: isPublic || 'true',
-      tags: parsedTags,
-      status: 'ready'
-    });
+    // The MIME type comes from the client, so check what was actually sent
+    const { rejectReason, validation } = await validateUpload(req.file.path);
+    if (rejectReason) {
+      discardUpload(req.file);
+      return res.status(422).json({
+        success: false,
+        message: rejectReason
+      });
+    }
+
+    const { pdf, duplicates } = await createPDFFromFile(req.file, req.user.id, fields, validation);
 
     res.status(201).json({
       success: true,
-      message: 'PDF uploaded successfully',
-      pdf: {
-        id: pdf._id,
-        title: pdf.title,
-        description: pdf.description,
-        filename: pdf.filename,
-        originalName: pdf.originalName,
-        fileSize: pdf.fileSize,
-        isPublic: pdf.isPublic,
-        tags: pdf.tags,
-        status: pdf.status,
-        createdAt: pdf.createdAt
-      }
+      message: duplicates.length > 0
+        ? 'PDF uploaded successfully. You already have a document with identical content.'
+        : 'PDF uploaded successfully',
+      pdf: formatUploadedPDF(pdf),
+      duplicateOf: duplicates
     });
   } catch (error) {
     // Clean up uploaded file if database operation fails
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Failed to delete uploaded file:', err);
-      });
-    }
+    discardUpload(req.file);
     next(error);
   }
 });
 
-// @desc    Get all PDFs for logged in user
-// @route   GET /api/pdfs
+// @desc    Get all PDFs for logged in user, or only those in one folder.
+//          Paginated with ?cursor=, ?limit= and ?sort= (createdAt, updatedAt,
+//          title, size or accessCount; prefix with - for descending).
+// @route   GET /api/pdfs?folder=<id|root>
 // @access  Private
 router.get('/', protect, async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    // Build query
-    let query = { user: req.user.id };
-    
-    // Add search functionality
-    if (req.query.search) {
-      query.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-      ];
+    const listing = parseCursorParams(req.query, { sortFields: PDF_SORT_FIELDS });
+    if (listing.error) {
+      return res.status(400).json({
+        success: false,
+        message: listing.error
+      });
     }
 
-    // Add tag filter
-    if (req.query.tags) {
-      const tags = req.query.tags.split(',');
-      query.tags = { $in: tags };
+    // Build query from the search and tag filters
+    const query = buildLibraryQuery(req.user.id, req.query);
+
+    // Folder view: documents directly in the folder plus its subfolders
+    let folder;
+    if (req.query.folder !== undefined) {
+      if (isRootFolder(req.query.folder)) {
+        folder = null;
+      } else {
+        folder = await findUserFolder(req.query.folder, req.user.id);
+        if (!folder) {
+          return res.status(404).json({
+            success: false,
+            message: 'Folder not found'
+          });
+        }
+      }
+      query.folder = folder?._id || null;
     }
 
-    const total = await PDF.countDocuments(query);
-    const pdfs = await PDF.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
+    const results = await PDF.find(listing.filter(query))
+      .sort(listing.order)
+      .limit(listing.limit + 1)
       .populate('annotations', 'type isResolved')
       .select('-filePath');
+    const { items: pdfs, hasMore, nextCursor } = listing.finish(results);
+    setPaginationLinks(req, res, nextCursor);
+
+    let folderView = {};
+    if (folder !== undefined) {
+      const subfolders = await Folder.find({ user: req.user.id, parent: folder?._id || null })
+        .sort({ name: 1 });
+      folderView = {
+        folder: folder ? formatFolder(folder) : null,
+        breadcrumbs: folder ? await buildBreadcrumbs(folder) : [],
+        subfolders: subfolders.map(formatFolder)
+      };
+    }
 
     res.status(200).json({
       success: true,
       count: pdfs.length,
-      total,
-      page,
-      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor,
+      sort: listing.sort,
+      ...folderView,
       pdfs: pdfs.map(pdf => ({
         id: pdf._id,
         title: pdf.title,
@@ -121,11 +212,16 @@ router.get('/', protect, async (req, res, next) => {
         filename: pdf.filename,
         originalName: pdf.originalName,
         fileSize: pdf.fileSize,
+        fileHash: pdf.fileHash,
         pageCount: pdf.pageCount,
         isPublic: pdf.isPublic,
+        folder: pdf.folder,
         tags: pdf.tags,
         status: pdf.status,
+        processingError: pdf.processingError,
         annotationCount: pdf.annotations?.length || 0,
+        forkedFrom: pdf.forkedFrom?.pdf || null,
+        forkCount: pdf.forkCount,
         accessCount: pdf.accessCount,
         lastAccessed: pdf.lastAccessed,
         createdAt: pdf.createdAt,
@@ -137,14 +233,18 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Get public PDFs
+// @desc    Get public PDFs (cursor paginated like GET /api/pdfs)
 // @route   GET /api/pdfs/public
 // @access  Public
 router.get('/public', optionalAuth, async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const listing = parseCursorParams(req.query, { sortFields: PDF_SORT_FIELDS });
+    if (listing.error) {
+      return res.status(400).json({
+        success: false,
+        message: listing.error
+      });
+    }
 
     let query = { isPublic: true };
     
@@ -161,26 +261,25 @@ router.get('/public', optionalAuth, async (req, res, next) => {
       query.tags = { $in: tags };
     }
 
-    const total = await PDF.countDocuments(query);
-    const pdfs = await PDF.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
+    const results = await PDF.find(listing.filter(query))
+      .sort(listing.order)
+      .limit(listing.limit + 1)
       .populate('user', 'name')
       .populate('annotations', 'type isResolved')
       .select('-filePath');
+    const { items: pdfs, hasMore, nextCursor } = listing.finish(results);
+    setPaginationLinks(req, res, nextCursor);
 
     res.status(200).json({
       success: true,
       count: pdfs.length,
-      total,
-      page,
-      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor,
+      sort: listing.sort,
       pdfs: pdfs.map(pdf => ({
         id: pdf._id,
         title: pdf.title,
         description: pdf.description,
-        filename: pdf.filename,
         originalName: pdf.originalName,
         fileSize: pdf.fileSize,
         pageCount: pdf.pageCount,
@@ -188,6 +287,7 @@ router.get('/public', optionalAuth, async (req, res, next) => {
         status: pdf.status,
         user: pdf.user?.name || 'Anonymous',
         annotationCount: pdf.annotations?.length || 0,
+        forkCount: pdf.forkCount,
         accessCount: pdf.accessCount,
         createdAt: pdf.createdAt
       }))
@@ -197,133 +297,376 @@ router.get('/public', optionalAuth, async (req, res, next) => {
   }
 });
 
-// @desc    Get single PDF
-// @route   GET /api/pdfs/:id
-// @access  Private/Public (depends on PDF visibility)
-router.get('/:id', optionalAuth, async (req, res, next) => {
+// @desc    Get PDFs shared with the logged in user (cursor paginated like GET /api/pdfs)
+// @route   GET /api/pdfs/shared
+// @access  Private
+router.get('/shared', protect, async (req, res, next) => {
   try {
-    let pdf = await PDF.findById(req.params.id)
-      .populate('user', 'name email')
-      .populate({
-        path: 'annotations',
-        populate: {
-          path: 'user replies.user',
-          select: 'name'
-        }
+    const listing = parseCursorParams(req.query, { sortFields: PDF_SORT_FIELDS });
+    if (listing.error) {
+      return res.status(400).json({
+        success: false,
+        message: listing.error
       });
+    }
 
-    if (!pdf) {
-      return res.status(404).json({
+    const query = { 'sharedWith.user': req.user._id };
+    if (req.query.role) query.sharedWith = { $elemMatch: { user: req.user._id, role: req.query.role } };
+
+    const results = await PDF.find(listing.filter(query))
+      .sort(listing.order)
+      .limit(listing.limit + 1)
+      .populate('user', 'name')
+      .select('-filePath');
+    const { items: pdfs, hasMore, nextCursor } = listing.finish(results);
+    setPaginationLinks(req, res, nextCursor);
+
+    res.status(200).json({
+      success: true,
+      count: pdfs.length,
+      hasMore,
+      nextCursor,
+      sort: listing.sort,
+      pdfs: pdfs.map(pdf => {
+        const share = pdf.sharedWith.find(entry => entry.user.toString() === req.user.id);
+        return {
+          id: pdf._id,
+          title: pdf.title,
+          description: pdf.description,
+          originalName: pdf.originalName,
+          fileSize: pdf.fileSize,
+          pageCount: pdf.pageCount,
+          tags: pdf.tags,
+          status: pdf.status,
+          user: pdf.user?.name || 'Anonymous',
+          role: share?.role,
+          sharedAt: share?.sharedAt,
+          createdAt: pdf.createdAt
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Full-text search across PDF titles, descriptions and page contents
+// @route   GET /api/pdfs/search
+// @access  Private/Public (owned, shared, public and collection PDFs)
+router.get('/search', optionalAuth, async (req, res, next) => {
+  try {
+    // ?q=a&q=b or ?q[x]=a arrive as an array or object
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({
         success: false,
-        message: 'PDF not found'
+        message: 'Please provide a single search query'
       });
     }
 
-    // Check access permissions
-    const hasAccess = pdf.isPublic || 
-                     (req.user && pdf.user._id.toString() === req.user.id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
+    const search = (req.query.q || '').trim();
+    if (!search) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to access this PDF'
+        message: 'Please provide a search query'
       });
     }
 
-    // Increment access count
-    pdf.accessCount += 1;
-    pdf.lastAccessed = new Date();
-    await pdf.save();
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const hitsPerDocument = Math.min(parseInt(req.query.hits) || 5, 20);
 
-    // Filter annotations based on user permissions
-    let annotations = pdf.annotations || [];
-    if (!req.user || pdf.user._id.toString() !== req.user.id) {
-      annotations = annotations.filter(annotation => !annotation.isPrivate);
-    }
+    const accessQuery = await accessiblePDFsQuery(req.user);
+
+    // Page contents, grouped per document with the best pages first
+    const pageMatches = await PDFPage.aggregate([
+      { $match: { $text: { $search: search } } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $lookup: {
+          from: PDF.collection.name,
+          let: { pdfId: '$pdf' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$pdfId'] } } },
+            // Aggregations bypass the model's trash filter
+            { $match: { ...accessQuery, deletedAt: null } },
+            { $project: { _id: 1 } }
+          ],
+          as: 'accessible'
+        }
+      },
+      { $match: { 'accessible.0': { $exists: true } } },
+      { $sort: { score: -1 } },
+      {
+        $group: {
+          _id: '$pdf',
+          score: { $sum: '$score' },
+          totalHits: { $sum: 1 },
+          hits: { $push: { page: '$page', score: '$score', text: '$text' } }
+        }
+      },
+      { $project: { score: 1, totalHits: 1, hits: { $slice: ['$hits', hitsPerDocument] } } },
+      { $sort: { score: -1 } },
+      { $limit: limit }
+    ]);
+
+    // Title and description matches from the PDF text index
+    const titleMatches = await PDF.find(
+      { $text: { $search: search }, ...accessQuery },
+      { _id: 1, score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit);
+
+    const results = new Map();
+
+    pageMatches.forEach(match => {
+      results.set(match._id.toString(), {
+        score: match.score,
+        totalHits: match.totalHits,
+        hits: match.hits,
+        matchedIn: ['content']
+      });
+    });
+
+    titleMatches.forEach(match => {
+      const id = match._id.toString();
+      // Title and description matches weigh more than a single page
+      const titleScore = match.get('score') * 2;
+      const existing = results.get(id);
+
+      if (existing) {
+        existing.score += titleScore;
+        existing.matchedIn.unshift('title');
+      } else {
+        results.set(id, { score: titleScore, totalHits: 0, hits: [], matchedIn: ['title'] });
+      }
+    });
+
+    const ranked = [...results.entries()]
+      .sort(([, a], [, b]) => b.score - a.score)
+      .slice(0, limit);
+
+    const pdfs = await PDF.find({ _id: { $in: ranked.map(([id]) => id) } })
+      .populate('user', 'name')
+      .select('-filePath');
+    const pdfsById = new Map(pdfs.map(pdf => [pdf._id.toString(), pdf]));
+
+    const terms = parseSearchTerms(search);
 
     res.status(200).json({
       success: true,
-      pdf: {
-        id: pdf._id,
-        title: pdf.title,
-        description: pdf.description,
-        filename: pdf.filename,
-        originalName: pdf.originalName,
-        filePath: pdf.filePath,
-        fileSize: pdf.fileSize,
-        pageCount: pdf.pageCount,
-        isPublic: pdf.isPublic,
-        tags: pdf.tags,
-        status: pdf.status,
-        user: {
-          id: pdf.user._id,
-          name: pdf.user.name
-        },
-        annotations,
-        accessCount: pdf.accessCount,
-        lastAccessed: pdf.lastAccessed,
-        createdAt: pdf.createdAt,
-        updatedAt: pdf.updatedAt
-      }
+      query: search,
+      count: ranked.length,
+      results: ranked
+        .filter(([id]) => pdfsById.has(id))
+        .map(([id, result]) => {
+          const pdf = pdfsById.get(id);
+          return {
+            pdf: {
+              id: pdf._id,
+              title: pdf.title,
+              description: pdf.description,
+              originalName: pdf.originalName,
+              pageCount: pdf.pageCount,
+              isPublic: pdf.isPublic,
+              tags: pdf.tags,
+              user: pdf.user?.name || 'Anonymous',
+              createdAt: pdf.createdAt
+            },
+            score: result.score,
+            matchedIn: result.matchedIn,
+            totalHits: result.totalHits,
+            hits: result.hits.map(hit => ({
+              page: hit.page,
+              score: hit.score,
+              snippet: buildSnippet(hit.text, terms)
+            }))
+          };
+        })
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Serve PDF file
-// @route   GET /api/pdfs/:id/file
-// @access  Private/Public (depends on PDF visibility)
-router.get('/:id/file', optionalAuth, async (req, res, next) => {
+// @desc    Add or remove tags, change visibility, move or delete many PDFs.
+//          Targets are given as `ids`, or as a `filter` with the search/tags
+//          parameters of GET /api/pdfs (matching the user's own library).
+// @route   POST /api/pdfs/bulk
+// @access  Private
+router.post('/bulk', protect, async (req, res, next) => {
   try {
-    const pdf = await PDF.findById(req.params.id);
+    const { ids, filter } = req.body;
 
-    if (!pdf) {
-      return res.status(404).json({
+    if (!Array.isArray(ids) === !filter) {
+      return res.status(400).json({
         success: false,
-        message: 'PDF not found'
+        message: 'Please provide either an array of ids or a filter'
       });
     }
 
-    // Check access permissions
-    const hasAccess = pdf.isPublic || 
-                     (req.user && pdf.user.toString() === req.user.id);
+    // An empty filter would match the whole library
+    if (filter && !filter.search && !filter.tags) {
+      return res.status(400).json({
+        success: false,
+        message: 'The filter needs a search term or tags'
+      });
+    }
 
-    if (!hasAccess) {
-      return res.status(403).json({
+    const invalid = validateBulkAction(req.body);
+    if (invalid) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to access this PDF'
+        message: invalid
       });
     }
 
-    // Check if file exists
-    if (!fs.existsSync(pdf.filePath)) {
-      return res.status(404).json({
+    let targetIds;
+    if (filter) {
+      const query = buildLibraryQuery(req.user.id, filter);
+      const matches = await PDF.find(query).select('_id').limit(BULK_LIMIT + 1);
+      targetIds = matches.map(pdf => pdf._id.toString());
+    } else {
+      targetIds = [...new Set(ids.map(String))];
+    }
+
+    if (targetIds.length > BULK_LIMIT) {
+      return res.status(400).json({
         success: false,
-        message: 'PDF file not found on server'
+        message: `A bulk request can change at most ${BULK_LIMIT} PDFs`
       });
     }
 
-    // Set appropriate headers
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename="${pdf.originalName}"`);
-    res.setHeader('Content-Length', pdf.fileSize);
+    const results = await applyBulkAction(targetIds, req.body, req.user);
+    const succeeded = results.filter(result => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      action: req.body.action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download PDFs as a ZIP with each document's visible annotations as
+//          JSON and as a readable summary. Give either `ids` (any PDFs the
+//          user can view) or a `folder` of the user's (id or root), which is
+//          included with its subfolders.
+// @route   POST /api/pdfs/archive
+// @access  Private
+router.post('/archive', protect, async (req, res, next) => {
+  try {
+    const { ids, folder: folderId } = req.body;
+
+    if (!Array.isArray(ids) === (folderId === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide either an array of ids or a folder'
+      });
+    }
+
+    let entries;
+    let name;
 
-    // Stream the file
-    const fileStream = fs.createReadStream(pdf.filePath);
-    fileStream.pipe(res);
+    if (ids) {
+      const targetIds = [...new Set(ids.map(String))];
+      if (targetIds.length === 0 || targetIds.length > ARCHIVE_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          message: `An archive must contain between 1 and ${ARCHIVE_LIMIT} PDFs`
+        });
+      }
+
+      const pdfs = await PDF.find({ _id: { $in: targetIds.filter(id => mongoose.isValidObjectId(id)) } });
+      const byId = new Map(pdfs.map(pdf => [pdf._id.toString(), pdf]));
+
+      const missing = targetIds.filter(id => !byId.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Some PDFs were not found',
+          ids: missing
+        });
+      }
+
+      entries = [];
+      for (const id of targetIds) {
+        const pdf = byId.get(id);
+        const access = await getPDFAccess(pdf, req.user);
+        if (!access.canView) {
+          return res.status(403).json({
+            success: false,
+            message: `Not authorized to access PDF ${id}`
+          });
+        }
+        entries.push({ pdf, access, dir: '' });
+      }
+      name = 'pdfs';
+    } else {
+      let folder = null;
+      if (!isRootFolder(folderId)) {
+        folder = await findUserFolder(folderId, req.user.id);
+        if (!folder) {
+          return res.status(404).json({
+            success: false,
+            message: 'Folder not found'
+          });
+        }
+      }
+
+      // Folder paths inside the archive are relative to the chosen folder
+      const paths = await buildFolderPaths(req.user.id, folder);
+      const query = { user: req.user.id };
+      if (folder) query.folder = { $in: [...paths.keys()] };
+
+      const pdfs = await PDF.find(query).sort({ title: 1 }).limit(ARCHIVE_LIMIT + 1);
+      if (pdfs.length > ARCHIVE_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          message: `An archive can contain at most ${ARCHIVE_LIMIT} PDFs; choose a smaller folder`
+        });
+      }
 
+      entries = await Promise.all(pdfs.map(async pdf => ({
+        pdf,
+        access: await getPDFAccess(pdf, req.user),
+        dir: (pdf.folder && paths.get(pdf.folder.toString())) || ''
+      })));
+      name = folder ? folder.name : 'library';
+    }
+
+    await streamPDFArchive(res, entries, { user: req.user, name });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Update PDF
-// @route   PUT /api/pdfs/:id
+// Fields for documents made by page operations. Unlike uploads they start
+// private, since their sources may not be public.
+const parseDerivedFields = async (body, userId) => {
+  const fields = { ...parseUploadFields(body), isPublic: body.isPublic === true || body.isPublic === 'true' };
+  if (fields.folder && !(await findUserFolder(fields.folder, userId))) return null;
+  return fields;
+};
+
+const formatDerivedPDFs = (created) => created.map(({ pdf, annotations }) => ({
+  ...formatUploadedPDF(pdf),
+  annotationsCopied: annotations
+}));
+
+// @desc    Make new PDFs from pages of this one: extract pages, split into
+//          several documents, rotate, delete or reorder pages. The source is
+//          left unchanged; public annotations and the user's own private ones
+//          are copied over.
+// @route   POST /api/pdfs/:id/pages
 // @access  Private
-router.put('/:id', protect, async (req, res, next) => {
+router.post('/:id/pages', protect, async (req, res, next) => {
   try {
-    let pdf = await PDF.findById(req.params.id);
+    const pdf = await PDF.findById(req.params.id);
 
     if (!pdf) {
       return res.status(404).json({
@@ -332,81 +675,1137 @@ router.put('/:id', protect, async (req, res, next) => {
       });
     }
 
-    // Make sure user owns PDF
-    if (pdf.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canView) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this PDF'
+        message: 'Not authorized to access this PDF'
       });
     }
 
-    const { title, description, tags, isPublic } = req.body;
-    const updateFields = {};
+    const fields = await parseDerivedFields(req.body, req.user.id);
+    if (!fields) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
 
-    if (title) updateFields.title = title;
-    if (description !== undefined) updateFields.description = description;
-    if (tags) updateFields.tags = Array.isArray(tags) ? tags : [];
-    if (typeof isPublic === 'boolean') updateFields.isPublic = isPublic;
+    const { document, failure: unreadable } = await loadSourceDocument(pdf);
+    if (unreadable) {
+      return res.status(unreadable.status).json({
+        success: false,
+        message: unreadable.message
+      });
+    }
 
-    pdf = await PDF.findByIdAndUpdate(req.params.id, updateFields, {
-      new: true,
-      runValidators: true
-    }).select('-filePath');
+    const plan = planPageOperation(req.body, document.getPageCount());
+    if (plan.error) {
+      return res.status(400).json({
+        success: false,
+        message: plan.error
+      });
+    }
 
-    res.status(200).json({
+    const source = { pdf, access, document };
+    const outputs = plan.outputs.map((output, index) => ({
+      title: req.body.title
+        ? (plan.outputs.length > 1 ? derivedTitle(req.body.title, `part ${index + 1}`) : req.body.title)
+        : derivedTitle(pdf.title, output.label),
+      parts: output.pages.map(({ page, rotate }) => ({ source, page, rotate }))
+    }));
+
+    const { pdfs, failure } = await createDerivedPDFs(req.user, outputs, fields);
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+
+    res.status(201).json({
       success: true,
-      pdf: {
-        id: pdf._id,
-        title: pdf.title,
-        description: pdf.description,
-        isPublic: pdf.isPublic,
-        tags: pdf.tags,
-        updatedAt: pdf.updatedAt
-      }
+      message: pdfs.length === 1 ? 'PDF created' : `${pdfs.length} PDFs created`,
+      operation: req.body.operation,
+      pdfs: formatDerivedPDFs(pdfs)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Delete PDF
-// @route   DELETE /api/pdfs/:id
+// @desc    Merge several PDFs, or page ranges of them, into a new PDF.
+//          `sources` is a list of ids or { id, pages } entries, in order.
+// @route   POST /api/pdfs/merge
 // @access  Private
-router.delete('/:id', protect, async (req, res, next) => {
+router.post('/merge', protect, async (req, res, next) => {
   try {
-    const pdf = await PDF.findById(req.params.id);
+    const { sources: requested } = req.body;
 
-    if (!pdf) {
-      return res.status(404).json({
+    if (!Array.isArray(requested) || requested.length < 2 || requested.length > MAX_MERGE_SOURCES) {
+      return res.status(400).json({
         success: false,
-        message: 'PDF not found'
+        message: `Please provide between 2 and ${MAX_MERGE_SOURCES} sources`
       });
     }
 
-    // Make sure user owns PDF
-    if (pdf.user.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
+    const entries = requested.map(entry => (typeof entry === 'string' ? { id: entry } : entry || {}));
+
+    const fields = await parseDerivedFields(req.body, req.user.id);
+    if (!fields) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to delete this PDF'
+        message: 'Folder not found'
       });
     }
 
-    // Delete associated annotations
-    await Annotation.deleteMany({ pdf: pdf._id });
+    // A document listed more than once is loaded once
+    const sources = new Map();
+    const parts = [];
+    for (const entry of entries) {
+      const id = String(entry.id);
+      if (!sources.has(id)) {
+        const pdf = mongoose.isValidObjectId(id) ? await PDF.findById(id) : null;
+        if (!pdf) {
+          return res.status(404).json({
+            success: false,
+            message: `PDF ${id} not found`
+          });
+        }
+
+        const access = await getPDFAccess(pdf, req.user);
+        if (!access.canView) {
+          return res.status(403).json({
+            success: false,
+            message: `Not authorized to access PDF ${id}`
+          });
+        }
+
+        const { document, failure } = await loadSourceDocument(pdf);
+        if (failure) {
+          return res.status(failure.status).json({
+            success: false,
+            message: failure.message
+          });
+        }
+        sources.set(id, { pdf, access, document });
+      }
+
+      const source = sources.get(id);
+      const pageCount = source.document.getPageCount();
+      const selection = entry.pages === undefined
+        ? { pages: Array.from({ length: pageCount }, (_, i) => i + 1) }
+        : parsePageSelection(entry.pages, pageCount);
+      if (selection.error) {
+        return res.status(400).json({
+          success: false,
+          message: `${source.pdf.title}: ${selection.error}`
+        });
+      }
+      parts.push(...selection.pages.map(page => ({ source, page, rotate: 0 })));
+    }
 
-    // Delete file from filesystem
-    if (fs.existsSync(pdf.filePath)) {
-      fs.unlink(pdf.filePath, (err) => {
-        if (err) console.error('Failed to delete PDF file:', err);
+    const titles = [...sources.values()].map(source => source.pdf.title);
+    const title = req.body.title || derivedTitle(titles[0], 'merged');
+
+    const { pdfs, failure } = await createDerivedPDFs(req.user, [{ title, parts }], fields);
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'PDF created',
+      pdf: formatDerivedPDFs(pdfs)[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Fork someone else's public PDF into the user's library, optionally
+//          with its non-private annotations and their replies
+// @route   POST /api/pdfs/:id/fork
+// @access  Private
+router.post('/:id/fork', protect, async (req, res, next) => {
+  try {
+    const source = await PDF.findById(req.params.id);
+
+    if (!source || !source.isPublic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Public PDF not found'
+      });
+    }
+
+    if (source.user.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'This PDF is already in your library'
+      });
+    }
+
+    let folder = null;
+    if (!isRootFolder(req.body.folder ?? null)) {
+      folder = await findUserFolder(req.body.folder, req.user.id);
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    }
+
+    const { pdf, annotations, failure } = await forkPDF(source, req.user, {
+      includeAnnotations: req.body.includeAnnotations !== false && req.body.includeAnnotations !== 'false',
+      title: req.body.title,
+      folder,
+      // Forks are for private markup, so they start private
+      isPublic: req.body.isPublic === true || req.body.isPublic === 'true'
+    });
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'PDF forked',
+      pdf: {
+        ...formatUploadedPDF(pdf),
+        forkedFrom: pdf.forkedFrom,
+        annotationsCopied: annotations
+      },
+      source: {
+        id: source._id,
+        forkCount: source.forkCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single PDF
+// @route   GET /api/pdfs/:id
+// @access  Private/Public (depends on PDF visibility, or share link)
+router.get('/:id', optionalAuth, shareLinkAuth, async (req, res, next) => {
+  try {
+    let pdf = await PDF.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate({
+        path: 'annotations',
+        populate: {
+          path: 'user replies.user',
+          select: 'name'
+        }
+      });
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    // Check access permissions
+    const access = await getPDFAccess(pdf, req.user, req.shareLink);
+    if (!access.canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this PDF'
+      });
+    }
+
+    if (req.shareLink) await req.shareLink.recordUse();
+    await recordPDFEvent(req, pdf, access);
+
+    // Others see public annotations and their own private ones
+    let annotations = pdf.annotations || [];
+    if (!access.isOwner) {
+      annotations = annotations.filter(annotation =>
+        !annotation.isPrivate || (req.user && annotation.user?._id.toString() === req.user.id));
+    }
+
+    res.status(200).json({
+      success: true,
+      pdf: {
+        id: pdf._id,
+        title: pdf.title,
+        description: pdf.description,
+        // Storage names identify the stored bytes; only the owner needs them
+        ...(access.isOwner && { filename: pdf.filename, fileHash: pdf.fileHash }),
+        originalName: pdf.originalName,
+        fileSize: pdf.fileSize,
+        pageCount: pdf.pageCount,
+        validation: pdf.validation,
+        isPublic: pdf.isPublic,
+        // Folders are private to the owner
+        ...(access.isOwner && { folder: pdf.folder }),
+        tags: pdf.tags,
+        status: pdf.status,
+        processingError: pdf.processingError,
+        metadata: pdf.metadata,
+        annotationImport: pdf.annotationImport,
+        currentVersion: pdf.currentVersion,
+        versionCount: pdf.versions.length || 1,
+        user: {
+          id: pdf.user._id,
+          name: pdf.user.name
+        },
+        access: access.role,
+        annotations,
+        forkedFrom: pdf.forkedFrom?.pdf ? pdf.forkedFrom : null,
+        forkCount: pdf.forkCount,
+        accessCount: pdf.accessCount,
+        lastAccessed: pdf.lastAccessed,
+        createdAt: pdf.createdAt,
+        updatedAt: pdf.updatedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Serve PDF file
+// @route   GET /api/pdfs/:id/file
+// @access  Private/Public (depends on PDF visibility, or share link)
+router.get('/:id/file', optionalAuth, shareLinkAuth, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    // Check access permissions
+    const access = await getPDFAccess(pdf, req.user, req.shareLink);
+    if (!access.canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this PDF'
+      });
+    }
+
+    // Viewers fetch the file in many ranged requests; count whole downloads only
+    if (!req.headers.range) {
+      if (req.shareLink) await req.shareLink.recordUse();
+      await recordPDFEvent(req, pdf, access, { type: 'download', resource: 'file' });
+    }
+
+    // Check if file exists
+    const storage = getStorage();
+    const stats = await storage.stat(pdf.filename);
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF file not found on server'
+      });
+    }
+
+    // Supports Range, If-Range, If-None-Match and If-Modified-Since
+    await sendFile(req, res, {
+      size: stats.size,
+      mtime: stats.mtime,
+      contentType: 'application/pdf',
+      filename: pdf.originalName,
+      contentHash: pdf.fileHash,
+      createReadStream: ({ start, end }) => storage.createReadStream(pdf.filename, { start, end })
+    });
+  } catch (error) {
+    // The response is already streaming, so all we can do is drop the connection
+    if (res.headersSent) {
+      console.error('Failed to stream PDF file:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// @desc    Upload a new revision of a PDF
+// @route   POST /api/pdfs/:id/versions
+// @access  Private
+router.post('/:id/versions', protect, upload.single('pdf'), handleMulterError, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a PDF file'
+      });
+    }
+
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    // Owners and editors can add revisions
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canEdit) {
+      discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this PDF'
+      });
+    }
+
+    // Revisions are stored for, and count against, the document's owner
+    const owner = access.isOwner ? req.user : await User.findById(pdf.user);
+    const overQuota = owner && await checkUploadQuota(owner, { bytes: req.file.size, documents: 0 });
+    if (overQuota) {
+      discardUpload(req.file);
+      return res.status(overQuota.status).json({
+        success: false,
+        message: overQuota.message
+      });
+    }
+
+    const { rejectReason, validation } = await validateUpload(req.file.path);
+    if (rejectReason) {
+      discardUpload(req.file);
+      return res.status(422).json({
+        success: false,
+        message: rejectReason
+      });
+    }
+
+    // Documents uploaded before versioning keep their original file as version 1
+    if (pdf.versions.length === 0) {
+      pdf.versions.push(pdf.getVersion(1));
+    }
+
+    const stored = await storeFile(req.file.path);
+
+    const version = Math.max(...pdf.versions.map(v => v.version)) + 1;
+    pdf.versions.push({
+      version,
+      filename: stored.filename,
+      originalName: req.file.originalname,
+      fileSize: stored.size,
+      fileHash: stored.hash,
+      validation,
+      comment: req.body.comment,
+      uploadedBy: req.user.id
+    });
+
+    const entry = pdf.getVersion(version);
+    pdf.setCurrentVersion(entry);
+    pdf.status = 'processing';
+    try {
+      await pdf.save();
+    } catch (error) {
+      await releaseFile(stored.hash);
+      throw error;
+    }
+
+    const { importAnnotations } = req.body;
+    queuePDFProcessing(pdf._id, {
+      importAnnotations: importAnnotations === true || importAnnotations === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'New version uploaded successfully',
+      version: formatVersion(entry, pdf.currentVersion)
+    });
+  } catch (error) {
+    discardUpload(req.file);
+    next(error);
+  }
+});
+
+// @desc    Get version history of a PDF
+// @route   GET /api/pdfs/:id/versions
+// @access  Private/Public (depends on PDF visibility)
+router.get('/:id/versions', optionalAuth, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id)
+      .populate('versions.uploadedBy', 'name');
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this PDF'
+      });
+    }
+
+    // Annotation counts per revision, counting only the ones the user can see
+    const annotationQuery = {
+      pdf: pdf._id,
+      deletedAt: null,
+      ...visibleAnnotationsQuery(access, req.user)
+    };
+
+    const counts = await Annotation.aggregate([
+      { $match: annotationQuery },
+      { $group: { _id: { $ifNull: ['$version', 1] }, count: { $sum: 1 } } }
+    ]);
+    const countByVersion = new Map(counts.map(c => [c._id, c.count]));
+
+    const versions = (pdf.versions.length ? pdf.versions : [pdf.getVersion(1)])
+      .map(entry => ({
+        ...formatVersion(entry, pdf.currentVersion),
+        annotationCount: countByVersion.get(entry.version) || 0,
+        ownerOnly: pdf.predatesRedaction(entry.version)
+      }))
+      .sort((a, b) => b.version - a.version);
+
+    res.status(200).json({
+      success: true,
+      currentVersion: pdf.currentVersion,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Serve the file of a specific PDF revision
+// @route   GET /api/pdfs/:id/versions/:version/file
+// @access  Private/Public (depends on PDF visibility)
+router.get('/:id/versions/:version/file', optionalAuth, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this PDF'
+      });
+    }
+
+    const entry = pdf.getVersion(parseInt(req.params.version));
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    // Content removed by a later redaction stays with the owner
+    if (pdf.predatesRedaction(entry.version) && !access.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'This version predates a redaction and is only available to the owner'
+      });
+    }
+
+    const storage = getStorage();
+    const stats = await storage.stat(entry.filename);
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF file not found on server'
+      });
+    }
+
+    if (!req.headers.range) {
+      await recordPDFEvent(req, pdf, access, { type: 'download', resource: 'version' });
+    }
+
+    await sendFile(req, res, {
+      size: stats.size,
+      mtime: stats.mtime,
+      contentType: 'application/pdf',
+      filename: entry.originalName,
+      contentHash: entry.fileHash,
+      createReadStream: ({ start, end }) => storage.createReadStream(entry.filename, { start, end })
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Failed to stream PDF file:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// @desc    Roll back a PDF to an earlier revision
+// @route   POST /api/pdfs/:id/versions/:version/restore
+// @access  Private
+router.post('/:id/versions/:version/restore', protect, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    // Owners and editors can roll back
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this PDF'
+      });
+    }
+
+    const entry = pdf.getVersion(parseInt(req.params.version));
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    // Restoring would publish content that was redacted
+    if (pdf.predatesRedaction(entry.version) && !access.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can restore a version that predates a redaction'
+      });
+    }
+
+    if (entry.version !== pdf.currentVersion) {
+      pdf.setCurrentVersion(entry);
+      pdf.status = 'processing';
+      await pdf.save();
+
+      queuePDFProcessing(pdf._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `PDF restored to version ${entry.version}`,
+      currentVersion: pdf.currentVersion,
+      version: formatVersion(entry, pdf.currentVersion)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Export PDF with annotations written into the file
+// @route   GET /api/pdfs/:id/export?mode=editable|flattened
+// @access  Private/Public (depends on PDF visibility)
+router.get('/:id/export', optionalAuth, async (req, res, next) => {
+  try {
+    const mode = req.query.mode || 'editable';
+    if (!EXPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Export mode must be one of: ${EXPORT_MODES.join(', ')}`
+      });
+    }
+
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this PDF'
+      });
+    }
+
+    // Same visibility as GET /api/annotations/pdf/:pdfId, for the current revision
+    const query = {
+      pdf: pdf._id,
+      version: Annotation.versionFilter(pdf.currentVersion),
+      ...visibleAnnotationsQuery(access, req.user)
+    };
+
+    const annotations = await Annotation.find(query)
+      .sort({ createdAt: 1 })
+      .populate('user', 'name')
+      .populate('replies.user', 'name');
+
+    let bytes;
+    try {
+      bytes = await getStorage().readFile(pdf.filename);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF file not found on server'
+      });
+    }
+
+    let output;
+    try {
+      output = await exportAnnotatedPDF(bytes, annotations, { mode });
+    } catch (error) {
+      return res.status(422).json({
+        success: false,
+        message: error.name === 'EncryptedPDFError'
+          ? 'Encrypted PDFs cannot be exported with annotations'
+          : 'Unable to write annotations into this PDF'
+      });
+    }
+
+    await recordPDFEvent(req, pdf, access, { type: 'download', resource: 'export' });
+
+    const filename = `${path.basename(pdf.originalName, path.extname(pdf.originalName))}-annotated.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', output.length);
+    res.status(200).end(Buffer.from(output));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Apply the approved redaction marks on the current version. The
+//          marked content is removed from a copy of the file, which becomes a
+//          new version; older versions are then only available to the owner.
+// @route   POST /api/pdfs/:id/redactions/apply
+// @access  Private (owner)
+router.post('/:id/redactions/apply', protect, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner of the PDF can apply redactions'
+      });
+    }
+
+    const { entry, areas, failure } = await applyRedactions(pdf, req.user);
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Redacted ${areas} area${areas === 1 ? '' : 's'} into version ${entry.version}`,
+      currentVersion: pdf.currentVersion,
+      version: formatVersion(entry, pdf.currentVersion)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    View and annotation analytics for a PDF: unique viewers, views
+//          per day or week, most-annotated pages and top commenters.
+//          Owner views are left out unless includeOwner=true.
+// @route   GET /api/pdfs/:id/analytics?interval=day|week&from=&to=&includeOwner=
+// @access  Private
+router.get('/:id/analytics', protect, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can view analytics for this PDF'
+      });
+    }
+
+    const interval = req.query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`
+      });
+    }
+
+    // Defaults to the last 30 days, or the last 12 weeks
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - (interval === 'week' ? 12 * 7 : 30) * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates, with from before to'
+      });
+    }
+
+    if (countBuckets(from, to, interval) > MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `The range covers more than ${MAX_BUCKETS} ${interval}s; use a shorter range or a longer interval`
+      });
+    }
+
+    const analytics = await buildPDFAnalytics(pdf, {
+      from,
+      to,
+      interval,
+      includeOwner: req.query.includeOwner === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      pdf: {
+        id: pdf._id,
+        title: pdf.title,
+        accessCount: pdf.accessCount,
+        lastAccessed: pdf.lastAccessed
+      },
+      ...analytics
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the users a PDF is shared with
+// @route   GET /api/pdfs/:id/shares
+// @access  Private
+router.get('/:id/shares', protect, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id)
+      .populate('sharedWith.user', 'name email');
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sharing for this PDF'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: pdf.sharedWith.length,
+      shares: pdf.sharedWith.filter(share => share.user).map(formatShare)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Share a PDF with a user, or change their role
+// @route   POST /api/pdfs/:id/shares
+// @access  Private
+router.post('/:id/shares', protect, async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !SHARE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide an email and a role (${SHARE_ROLES.join(', ')})`
+      });
+    }
+
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sharing for this PDF'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(pdf.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner already has full access to this PDF'
+      });
+    }
+
+    const existing = pdf.sharedWith.find(share => share.user.equals(user._id));
+    if (existing) {
+      existing.role = role;
+    } else {
+      pdf.sharedWith.push({ user: user._id, role, sharedBy: req.user.id });
+    }
+    await pdf.save();
+
+    const share = pdf.sharedWith.find(entry => entry.user.equals(user._id));
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Sharing role updated' : 'PDF shared successfully',
+      share: formatShare({ ...share.toObject(), user })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change a user's role on a shared PDF
+// @route   PUT /api/pdfs/:id/shares/:userId
+// @access  Private
+router.put('/:id/shares/:userId', protect, async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${SHARE_ROLES.join(', ')}`
+      });
+    }
+
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sharing for this PDF'
+      });
+    }
+
+    const share = pdf.sharedWith.find(entry => entry.user.toString() === req.params.userId);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF is not shared with this user'
+      });
+    }
+
+    share.role = role;
+    await pdf.save();
+    await pdf.populate('sharedWith.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Sharing role updated',
+      share: formatShare(pdf.sharedWith.find(entry => entry.user._id.toString() === req.params.userId))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Stop sharing a PDF with a user
+// @route   DELETE /api/pdfs/:id/shares/:userId
+// @access  Private
+router.delete('/:id/shares/:userId', protect, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    // The owner can remove anyone; a user can remove themselves
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage && req.params.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sharing for this PDF'
+      });
+    }
+
+    const share = pdf.sharedWith.find(entry => entry.user.toString() === req.params.userId);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF is not shared with this user'
+      });
+    }
+
+    pdf.sharedWith = pdf.sharedWith.filter(entry => entry !== share);
+    await pdf.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'PDF is no longer shared with this user'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update PDF
+// @route   PUT /api/pdfs/:id
+// @access  Private
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    let pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    // Owners and editors can change the details
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this PDF'
+      });
+    }
+
+    const { title, description, tags, isPublic, folder } = req.body;
+
+    // Visibility and filing stay with the owner
+    if (!access.canManage && (isPublic !== undefined || folder !== undefined)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can change visibility or folder'
+      });
+    }
+
+    const updateFields = {};
+
+    if (title) updateFields.title = title;
+    if (description !== undefined) updateFields.description = description;
+    if (tags) updateFields.tags = Array.isArray(tags) ? tags : [];
+    if (typeof isPublic === 'boolean') updateFields.isPublic = isPublic;
+
+    // Move into a folder of the document's owner (null or 'root' for the top level)
+    if (folder !== undefined) {
+      if (isRootFolder(folder)) {
+        updateFields.folder = null;
+      } else {
+        const target = await findUserFolder(folder, pdf.user);
+        if (!target) {
+          return res.status(404).json({
+            success: false,
+            message: 'Folder not found'
+          });
+        }
+        updateFields.folder = target._id;
+      }
+    }
+
+    pdf = await PDF.findByIdAndUpdate(req.params.id, updateFields, {
+      new: true,
+      runValidators: true
+    }).select('-filePath');
+
+    res.status(200).json({
+      success: true,
+      pdf: {
+        id: pdf._id,
+        title: pdf.title,
+        description: pdf.description,
+        isPublic: pdf.isPublic,
+        folder: pdf.folder,
+        tags: pdf.tags,
+        updatedAt: pdf.updatedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Move PDF to the trash; it can be restored until the trash is purged
+// @route   DELETE /api/pdfs/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const pdf = await PDF.findById(req.params.id);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    // Make sure user owns PDF
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this PDF'
       });
     }
 
-    // Delete PDF from database
-    await PDF.findByIdAndDelete(req.params.id);
+    await trashPDF(pdf, req.user.id);
 
     res.status(200).json({
       success: true,
-      message: 'PDF deleted successfully'
+      message: 'PDF moved to trash',
+      deletedAt: pdf.deletedAt,
+      purgeAt: purgeDate(pdf.deletedAt)
     });
   } catch (error) {
     next(error);
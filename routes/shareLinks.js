@@ -0,0 +1,265 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ShareLink from '../models/ShareLink.js';
+import PDF from '../models/PDF.js';
+import { protect } from '../middleware/auth.js';
+import { shareLinkAuth, signShareAccessToken } from '../middleware/shareLink.js';
+import { getPDFAccess } from '../utils/pdfAccess.js';
+
+const router = express.Router();
+
+const PERMISSIONS = ['view', 'comment'];
+
+const formatLink = (link) => ({
+  id: link._id,
+  pdf: link.pdf,
+  label: link.label,
+  tokenPrefix: link.tokenPrefix,
+  permission: link.permission,
+  hasPassword: link.hasPassword,
+  expiresAt: link.expiresAt,
+  useCount: link.useCount,
+  lastUsedAt: link.lastUsedAt,
+  revokedAt: link.revokedAt,
+  isActive: !link.getInvalidReason(),
+  createdAt: link.createdAt
+});
+
+// What a reviewer holding the link can see before opening the document
+const describeSharedPDF = async (link) => {
+  const pdf = await PDF.findById(link.pdf).select('title originalName pageCount status');
+  return pdf && {
+    id: pdf._id,
+    title: pdf.title,
+    originalName: pdf.originalName,
+    pageCount: pdf.pageCount,
+    status: pdf.status
+  };
+};
+
+// @desc    Create a share link for a PDF
+// @route   POST /api/share-links
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const { pdfId, permission = 'view', expiresAt, password, label } = req.body;
+
+    if (!pdfId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide pdfId'
+      });
+    }
+
+    if (!PERMISSIONS.includes(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: `Permission must be one of: ${PERMISSIONS.join(', ')}`
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a date in the future'
+        });
+      }
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password.length < 4)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 4 characters'
+      });
+    }
+
+    const pdf = await PDF.findById(pdfId);
+
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    const access = await getPDFAccess(pdf, req.user);
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share this PDF'
+      });
+    }
+
+    const token = ShareLink.generateToken();
+    const link = new ShareLink({
+      pdf: pdf._id,
+      createdBy: req.user.id,
+      tokenHash: ShareLink.hashToken(token),
+      tokenPrefix: token.slice(0, 6),
+      label,
+      permission,
+      expiresAt: expiry
+    });
+    if (password) await link.setPassword(password);
+    await link.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created. The token is only shown once.',
+      token,
+      link: formatLink(link)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List share links the user created, optionally for one PDF
+// @route   GET /api/share-links?pdf=<id>
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const query = { createdBy: req.user.id };
+
+    if (req.query.pdf) {
+      if (!mongoose.isValidObjectId(req.query.pdf)) {
+        return res.status(404).json({
+          success: false,
+          message: 'PDF not found'
+        });
+      }
+      query.pdf = req.query.pdf;
+    }
+
+    if (req.query.active === 'true') {
+      query.revokedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const links = await ShareLink.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      links: links.map(formatLink)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Exchange a password-protected link token for an access token
+// @route   POST /api/share-links/verify
+// @access  Public
+router.post('/verify', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the share token'
+      });
+    }
+
+    const link = await ShareLink.findOne({ tokenHash: ShareLink.hashToken(token) })
+      .select('+passwordHash');
+
+    if (!link) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid share link'
+      });
+    }
+
+    const invalidReason = link.getInvalidReason();
+    if (invalidReason) {
+      return res.status(401).json({
+        success: false,
+        message: invalidReason
+      });
+    }
+
+    if (link.hasPassword && !(await link.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      // Links without a password can keep using the link token directly
+      accessToken: link.hasPassword ? signShareAccessToken(link) : token,
+      permission: link.permission,
+      expiresAt: link.expiresAt,
+      pdf: await describeSharedPDF(link)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Describe the link sent in X-Share-Token
+// @route   GET /api/share-links/current
+// @access  Share link
+router.get('/current', shareLinkAuth, async (req, res, next) => {
+  try {
+    if (!req.shareLink) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please provide a share token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      permission: req.shareLink.permission,
+      expiresAt: req.shareLink.expiresAt,
+      pdf: await describeSharedPDF(req.shareLink)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a share link
+// @route   DELETE /api/share-links/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const link = await ShareLink.findById(req.params.id);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    if (link.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke this share link'
+      });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      link: formatLink(link)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,235 @@
+import express from 'express';
+import PDF from '../models/PDF.js';
+import Annotation from '../models/Annotation.js';
+import { protect } from '../middleware/auth.js';
+import { getPDFAccess } from '../utils/pdfAccess.js';
+import { publishAnnotationEvent } from '../utils/realtime.js';
+import { purgeAnnotations } from '../utils/annotationHistory.js';
+import {
+  getTrashRetentionDays,
+  purgeDate,
+  restorePDF,
+  purgePDF
+} from '../utils/trash.js';
+
+const router = express.Router();
+
+const TRASHED = { deletedAt: { $ne: null } };
+
+// Trashed annotations a user can manage: their own, the ones they deleted,
+// and any on PDFs they own. Annotations trashed along with their PDF come
+// back with it, so only the ones deleted on their own are included.
+const findTrashedAnnotations = async (userId) => {
+  const ownPDFs = await PDF.distinct('_id', { user: userId });
+  const annotations = await Annotation.find({
+    ...TRASHED,
+    $or: [{ user: userId }, { deletedBy: userId }, { pdf: { $in: ownPDFs } }]
+  })
+    .sort({ deletedAt: -1 })
+    .populate({ path: 'pdf', select: 'title deletedAt', options: { withDeleted: true } });
+
+  return annotations.filter(annotation => annotation.pdf && !annotation.pdf.deletedAt);
+};
+
+const findTrashedPDF = async (id, user) => {
+  const pdf = await PDF.findOne({ _id: id, ...TRASHED });
+  if (!pdf) return { status: 404, message: 'PDF not found in trash' };
+
+  const access = await getPDFAccess(pdf, user);
+  if (!access.canManage) return { status: 403, message: 'Not authorized to manage this PDF' };
+
+  return { pdf };
+};
+
+const findTrashedAnnotation = async (id, user) => {
+  const annotation = await Annotation.findOne({ _id: id, ...TRASHED });
+  if (!annotation) return { status: 404, message: 'Annotation not found in trash' };
+
+  const pdf = await PDF.findById(annotation.pdf).setOptions({ withDeleted: true });
+  const access = pdf ? await getPDFAccess(pdf, user) : null;
+  const isAuthor = annotation.user?.toString() === user.id;
+  const deletedIt = annotation.deletedBy?.toString() === user.id;
+  if (!isAuthor && !deletedIt && !access?.canManage) {
+    return { status: 403, message: 'Not authorized to manage this annotation' };
+  }
+
+  return { annotation, pdf };
+};
+
+// @desc    List the user's trashed PDFs and annotations
+// @route   GET /api/trash
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const [pdfs, annotations] = await Promise.all([
+      PDF.find({ user: req.user.id, ...TRASHED }).sort({ deletedAt: -1 }),
+      findTrashedAnnotations(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      retentionDays: getTrashRetentionDays(),
+      pdfs: pdfs.map(pdf => ({
+        id: pdf._id,
+        title: pdf.title,
+        originalName: pdf.originalName,
+        fileSize: pdf.fileSize,
+        pageCount: pdf.pageCount,
+        deletedAt: pdf.deletedAt,
+        purgeAt: purgeDate(pdf.deletedAt)
+      })),
+      annotations: annotations.map(annotation => ({
+        id: annotation._id,
+        pdf: { id: annotation.pdf._id, title: annotation.pdf.title },
+        page: annotation.page,
+        type: annotation.type,
+        content: annotation.content,
+        deletedAt: annotation.deletedAt,
+        purgeAt: purgeDate(annotation.deletedAt)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore a trashed PDF together with its annotations
+// @route   POST /api/trash/pdfs/:id/restore
+// @access  Private
+router.post('/pdfs/:id/restore', protect, async (req, res, next) => {
+  try {
+    const { pdf, status, message } = await findTrashedPDF(req.params.id, req.user);
+    if (!pdf) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await restorePDF(pdf);
+
+    res.status(200).json({
+      success: true,
+      message: 'PDF restored',
+      pdf: {
+        id: pdf._id,
+        title: pdf.title,
+        folder: pdf.folder
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Permanently delete a trashed PDF
+// @route   DELETE /api/trash/pdfs/:id
+// @access  Private
+router.delete('/pdfs/:id', protect, async (req, res, next) => {
+  try {
+    const { pdf, status, message } = await findTrashedPDF(req.params.id, req.user);
+    if (!pdf) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await purgePDF(pdf);
+
+    res.status(200).json({
+      success: true,
+      message: 'PDF permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore a trashed annotation
+// @route   POST /api/trash/annotations/:id/restore
+// @access  Private
+router.post('/annotations/:id/restore', protect, async (req, res, next) => {
+  try {
+    const { annotation, pdf, status, message } = await findTrashedAnnotation(req.params.id, req.user);
+    if (!annotation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!pdf || pdf.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The PDF of this annotation is in the trash. Restore the PDF instead.'
+      });
+    }
+
+    annotation.deletedAt = null;
+    annotation.deletedBy = null;
+    await annotation.save();
+
+    publishAnnotationEvent('annotation.created', annotation);
+
+    res.status(200).json({
+      success: true,
+      message: 'Annotation restored',
+      annotation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Permanently delete a trashed annotation
+// @route   DELETE /api/trash/annotations/:id
+// @access  Private
+router.delete('/annotations/:id', protect, async (req, res, next) => {
+  try {
+    const { annotation, status, message } = await findTrashedAnnotation(req.params.id, req.user);
+    if (!annotation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await purgeAnnotations({ _id: annotation._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Annotation permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Empty the trash
+// @route   DELETE /api/trash
+// @access  Private
+router.delete('/', protect, async (req, res, next) => {
+  try {
+    const pdfs = await PDF.find({ user: req.user.id, ...TRASHED });
+    for (const pdf of pdfs) {
+      await purgePDF(pdf);
+    }
+
+    const annotations = await findTrashedAnnotations(req.user.id);
+    const deletedCount = await purgeAnnotations({
+      _id: { $in: annotations.map(annotation => annotation._id) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Trash emptied',
+      deletedPDFs: pdfs.length,
+      deletedAnnotations: deletedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
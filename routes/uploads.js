@@ -0,0 +1,470 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { Transform, pipeline } from 'stream';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import UploadSession from '../models/UploadSession.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { tempDir } from '../middleware/upload.js';
+import { createPDFFromFile, parseUploadFields, formatUploadedPDF } from '../utils/pdfIngest.js';
+import { validateUpload } from '../utils/pdfValidation.js';
+import { checkUploadQuota } from '../utils/quotas.js';
+import { findUserFolder } from '../utils/folders.js';
+
+const router = express.Router();
+const pipelineAsync = promisify(pipeline);
+
+// Resumable uploads follow the tus 1.0.0 core protocol with the creation,
+// termination and expiration extensions
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_RESUMABLE_FILE_SIZE) || 500 * 1024 * 1024; // 500MB default
+const SESSION_TTL = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Sessions with a chunk being written by this process
+const activeWrites = new Set();
+
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', TUS_EXTENSIONS);
+  res.setHeader('Tus-Max-Size', MAX_UPLOAD_SIZE);
+  next();
+});
+
+// "key base64value,key2 base64value2" -> { key, key2 }
+const parseUploadMetadata = (header = '') => Object.fromEntries(
+  header
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const [key, value = ''] = pair.split(' ');
+      return [key, Buffer.from(value, 'base64').toString('utf8')];
+    })
+);
+
+const isExpired = (session) => session.expiresAt <= new Date();
+
+const setOffsetHeaders = (res, session) => {
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.size);
+  res.setHeader('Upload-Expires', session.expiresAt.toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+const formatSession = (session) => ({
+  id: session._id,
+  originalName: session.originalName,
+  size: session.size,
+  offset: session.offset,
+  progress: Math.floor((session.offset / session.size) * 100),
+  status: session.status,
+  failureReason: session.failureReason,
+  pdf: session.pdf,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt
+});
+
+// Pass bytes through until `limit` is reached, then fail
+const byteLimit = (limit) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > limit) {
+        const error = new Error('Chunk exceeds the declared upload length');
+        error.code = 'UPLOAD_TOO_LARGE';
+        // Keep the bytes that still fit
+        const remaining = limit - (received - chunk.length);
+        if (remaining > 0) this.push(chunk.subarray(0, remaining));
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+// Header within the first KB and end-of-file marker within the last KB
+const validateAssembledFile = async (filePath, size) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: stored } = await handle.stat();
+    if (stored !== size) return 'Assembled file size does not match the declared upload length';
+
+    const head = Buffer.alloc(Math.min(1024, size));
+    await handle.read(head, 0, head.length, 0);
+    if (!head.includes('%PDF-')) return 'File is not a PDF document';
+
+    const tail = Buffer.alloc(Math.min(1024, size));
+    await handle.read(tail, 0, tail.length, size - tail.length);
+    if (!tail.includes('%%EOF')) return 'PDF document is incomplete or truncated';
+
+    return null;
+  } finally {
+    await handle.close();
+  }
+};
+
+const failSession = async (session, reason) => {
+  session.status = 'failed';
+  session.failureReason = reason;
+  await fs.promises.rm(session.tempPath, { force: true });
+  return null;
+};
+
+// Hand the assembled file over to PDF storage and create its record
+const completeUpload = async (session) => {
+  const problem = await validateAssembledFile(session.tempPath, session.size);
+  if (problem) return failSession(session, problem);
+
+  // Checked again here because other uploads may have finished meanwhile
+  const user = await User.findById(session.user);
+  const overQuota = user && await checkUploadQuota(user, { bytes: session.size });
+  if (overQuota) return failSession(session, overQuota.message);
+
+  const { rejectReason, validation } = await validateUpload(session.tempPath);
+  if (rejectReason) return failSession(session, rejectReason);
+
+  const result = await createPDFFromFile({
+    originalname: session.originalName,
+    path: session.tempPath,
+    mimetype: 'application/pdf'
+  }, session.user, session.fields, validation);
+
+  session.status = 'completed';
+  session.pdf = result.pdf._id;
+  return result;
+};
+
+// @desc    Create a resumable upload session
+// @route   POST /api/uploads
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+    const body = req.body || {};
+    const size = parseInt(req.headers['upload-length'] ?? body.size);
+    const originalName = metadata.filename || body.filename;
+
+    if (!size || size < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the upload length'
+      });
+    }
+
+    if (size > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `File size too large. Maximum size allowed is ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)}MB.`
+      });
+    }
+
+    if (!originalName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a filename'
+      });
+    }
+
+    const filetype = metadata.filetype || body.filetype;
+    if (path.extname(originalName).toLowerCase() !== '.pdf' && filetype !== 'application/pdf') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type. Only PDF files are allowed.'
+      });
+    }
+
+    const fields = parseUploadFields({ ...body, ...metadata });
+    if (fields.folder && !(await findUserFolder(fields.folder, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const overQuota = await checkUploadQuota(req.user, { bytes: size });
+    if (overQuota) {
+      return res.status(overQuota.status).json({
+        success: false,
+        message: overQuota.message
+      });
+    }
+
+    const tempPath = path.join(tempDir, `${uuidv4()}.part`);
+    await fs.promises.writeFile(tempPath, '');
+
+    const session = await UploadSession.create({
+      user: req.user.id,
+      originalName,
+      size,
+      tempPath,
+      fields,
+      expiresAt: new Date(Date.now() + SESSION_TTL)
+    });
+
+    setOffsetHeaders(res, session);
+    res.setHeader('Location', `${req.baseUrl}/${session._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      upload: formatSession(session)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List the user's unfinished uploads
+// @route   GET /api/uploads
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const sessions = await UploadSession.find({
+      user: req.user.id,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      uploads: sessions.map(formatSession)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the current offset of an upload (tus)
+// @route   HEAD /api/uploads/:id
+// @access  Private
+router.head('/:id', protect, async (req, res, next) => {
+  try {
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session || session.user.toString() !== req.user.id) {
+      return res.status(404).end();
+    }
+
+    if (isExpired(session)) {
+      return res.status(410).end();
+    }
+
+    setOffsetHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get upload progress
+// @route   GET /api/uploads/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (session.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this upload'
+      });
+    }
+
+    setOffsetHeaders(res, session);
+
+    res.status(200).json({
+      success: true,
+      upload: formatSession(session)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Upload a chunk at the given offset
+// @route   PATCH /api/uploads/:id
+// @access  Private
+router.patch('/:id', protect, async (req, res, next) => {
+  let lockedId = null;
+
+  try {
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const offset = parseInt(req.headers['upload-offset']);
+    if (Number.isNaN(offset)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Offset header is required'
+      });
+    }
+
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (session.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this upload'
+      });
+    }
+
+    if (isExpired(session)) {
+      return res.status(410).json({
+        success: false,
+        message: 'Upload session has expired'
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Upload is already ${session.status}`
+      });
+    }
+
+    if (activeWrites.has(session.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another chunk is already being uploaded for this session'
+      });
+    }
+
+    if (offset !== session.offset) {
+      setOffsetHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: `Upload-Offset does not match the current offset of ${session.offset}`
+      });
+    }
+
+    activeWrites.add(session.id);
+    lockedId = session.id;
+
+    let writeError = null;
+    try {
+      await pipelineAsync(
+        req,
+        byteLimit(session.size - offset),
+        fs.createWriteStream(session.tempPath, { flags: 'r+', start: offset })
+      );
+    } catch (error) {
+      writeError = error;
+    }
+
+    // Whatever reached the disk counts, so an interrupted chunk resumes where it stopped
+    const { size: stored } = await fs.promises.stat(session.tempPath);
+    session.offset = Math.min(stored, session.size);
+    session.expiresAt = new Date(Date.now() + SESSION_TTL);
+
+    if (writeError) {
+      await session.save();
+
+      if (writeError.code === 'UPLOAD_TOO_LARGE') {
+        setOffsetHeaders(res, session);
+        return res.status(413).json({
+          success: false,
+          message: 'Chunk exceeds the declared upload length'
+        });
+      }
+
+      // Client went away; it can resume from the saved offset
+      if (req.aborted || res.destroyed) return;
+      throw writeError;
+    }
+
+    if (session.offset < session.size) {
+      await session.save();
+      setOffsetHeaders(res, session);
+      return res.status(204).end();
+    }
+
+    const result = await completeUpload(session);
+    await session.save();
+    setOffsetHeaders(res, session);
+
+    if (!result) {
+      return res.status(422).json({
+        success: false,
+        message: session.failureReason,
+        upload: formatSession(session)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'PDF uploaded successfully',
+      upload: formatSession(session),
+      pdf: formatUploadedPDF(result.pdf),
+      duplicateOf: result.duplicates
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (lockedId) activeWrites.delete(lockedId);
+  }
+});
+
+// @desc    Abort an upload (tus termination)
+// @route   DELETE /api/uploads/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (session.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this upload'
+      });
+    }
+
+    if (activeWrites.has(session.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A chunk is still being uploaded for this session'
+      });
+    }
+
+    await fs.promises.rm(session.tempPath, { force: true });
+    await session.deleteOne();
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
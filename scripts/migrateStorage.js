@@ -0,0 +1,112 @@
+// Copy every stored PDF from one storage driver to another.
+//
+//   npm run storage:migrate -- --from local --to s3 [--delete-source] [--dry-run]
+//
+// Storage keys are the same in every driver, so no database records change.
+// Switch STORAGE_DRIVER once the copy has finished.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import PDF from '../models/PDF.js';
+import StoredFile from '../models/StoredFile.js';
+import { createStorage, STORAGE_DRIVERS } from '../storage/index.js';
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const args = { deleteSource: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--delete-source': args.deleteSource = true; break;
+      case '--dry-run': args.dryRun = true; break;
+      default: throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+  }
+
+  if (!STORAGE_DRIVERS.includes(args.from) || !STORAGE_DRIVERS.includes(args.to)) {
+    throw new Error(`--from and --to must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+  if (args.from === args.to) {
+    throw new Error('--from and --to must be different drivers');
+  }
+  return args;
+};
+
+// Every key referenced by a PDF revision or by the content store
+const collectKeys = async () => {
+  const keys = new Set();
+
+  // Trashed PDFs keep their files until purged
+  const pdfs = await PDF.find().setOptions({ withDeleted: true }).select('filename versions.filename').lean();
+  pdfs.forEach(pdf => {
+    keys.add(pdf.filename);
+    (pdf.versions || []).forEach(entry => keys.add(entry.filename));
+  });
+
+  const stored = await StoredFile.find().select('filename').lean();
+  stored.forEach(file => keys.add(file.filename));
+
+  return [...keys].filter(Boolean);
+};
+
+const migrate = async ({ from, to, deleteSource, dryRun }) => {
+  const source = createStorage(from);
+  const target = createStorage(to);
+  const keys = await collectKeys();
+  const summary = { copied: 0, skipped: 0, missing: 0, failed: 0 };
+
+  console.log(`Migrating ${keys.length} files from ${from} to ${to}${dryRun ? ' (dry run)' : ''}`);
+
+  for (const key of keys) {
+    try {
+      const stats = await source.stat(key);
+      if (!stats) {
+        console.warn(`  missing  ${key}`);
+        summary.missing++;
+        continue;
+      }
+
+      const existing = await target.stat(key);
+      if (existing && existing.size === stats.size) {
+        summary.skipped++;
+      } else {
+        if (!dryRun) {
+          await target.putStream(key, await source.createReadStream(key), { size: stats.size });
+
+          const copied = await target.stat(key);
+          if (!copied || copied.size !== stats.size) {
+            throw new Error('size mismatch after copy');
+          }
+        }
+        console.log(`  copied   ${key}`);
+        summary.copied++;
+      }
+
+      if (deleteSource && !dryRun) {
+        await source.remove(key);
+      }
+    } catch (error) {
+      console.error(`  failed   ${key}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+
+  console.log(
+    `Done: ${summary.copied} copied, ${summary.skipped} already present, ` +
+    `${summary.missing} missing, ${summary.failed} failed`
+  );
+  return summary;
+};
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  await mongoose.connect(process.env.MONGODB_URI);
+  const summary = await migrate(args);
+  process.exitCode = summary.failed > 0 ? 1 : 0;
+} catch (error) {
+  console.error(`Storage migration failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
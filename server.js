@@ -11,7 +11,16 @@ import { connectDB } from './config/database.js';
 import authRoutes from './routes/auth.js';
 import pdfRoutes from './routes/pdfs.js';
 import annotationRoutes from './routes/annotations.js';
+import uploadRoutes from './routes/uploads.js';
+import folderRoutes from './routes/folders.js';
+import collectionRoutes from './routes/collections.js';
+import shareLinkRoutes from './routes/shareLinks.js';
+import trashRoutes from './routes/trash.js';
+import adminRoutes from './routes/admin.js';
 import { errorHandler } from './middleware/error.js';
+import { startUploadSessionSweep } from './jobs/expireUploadSessions.js';
+import { startTrashPurgeSweep } from './jobs/purgeTrash.js';
+import { attachRealtimeServer } from './utils/realtime.js';
 
 dotenv.config();
 
@@ -23,6 +32,10 @@ const app = express();
 // Connect to database
 connectDB();
 
+// Background jobs
+startUploadSessionSweep();
+startTrashPurgeSweep();
+
 // Security middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -54,7 +67,19 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // CORS configuration
-app.use(cors());
+// Resumable upload (tus) clients need to read these response headers
+app.use(cors({
+  exposedHeaders: [
+    'Location',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Expires',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size'
+  ]
+}));
 // app.use(cors({
 //   origin: process.env.NODE_ENV === 'production' 
 //     ? ['https://yourdomain.com'] 
@@ -66,12 +91,16 @@ app.use(cors());
 
 // General middleware
 app.use(compression());
+// Share tokens can come in the query string (see readShareToken); keep them
+// out of the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]shareToken=)[^&#]*/g, '$1[redacted]'));
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files are not served statically: every download goes through
+// /api/pdfs/:id/file or /api/pdfs/:id/versions/:version/file, which check
+// access to the document and the revision
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -87,6 +116,12 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/pdfs', pdfRoutes);
 app.use('/api/annotations', annotationRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/share-links', shareLinkRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 
@@ -110,7 +145,7 @@ app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 🚀 PDF Annotator Server is running!
 📍 Environment: ${process.env.NODE_ENV}
@@ -120,4 +155,7 @@ app.listen(PORT, () => {
   `);
 });
 
+// Live annotation updates and presence over WebSockets
+attachRealtimeServer(server);
+
 export default app;
\ No newline at end of file
@@ -0,0 +1,44 @@
+import { createLocalStorage } from './localDriver.js';
+import { createS3Storage } from './s3Driver.js';
+
+// Storage drivers share one interface. Keys are flat file names (PDF.filename).
+//   stat(key)                      -> { size, mtime } or null
+//   exists(key)                    -> boolean
+//   putFile(key, localPath)        store a local file, taking ownership of it
+//   putStream(key, stream, { size })
+//   createReadStream(key, { start, end }) -> readable (inclusive range)
+//   readFile(key)                  -> Buffer
+//   remove(key)
+export const STORAGE_DRIVERS = ['local', 's3'];
+
+const isTrue = (value) => value === true || value === 'true';
+
+export const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        root: process.env.LOCAL_STORAGE_DIR || './uploads/pdfs'
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: isTrue(process.env.S3_FORCE_PATH_STYLE),
+        prefix: process.env.S3_PREFIX
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+};
+
+let storage = null;
+
+// Configured storage, created on first use so environment variables loaded
+// by dotenv at startup are picked up
+export const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+// Files live directly under `root`, named by their storage key
+export const createLocalStorage = ({ root }) => {
+  fs.mkdirSync(root, { recursive: true });
+
+  // Keys are flat file names; never let one escape the storage directory
+  const resolve = (key) => path.join(root, path.basename(key));
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolve(key));
+      return { size: stats.size, mtime: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    driver: 'local',
+    root,
+
+    stat,
+
+    exists: async (key) => (await stat(key)) !== null,
+
+    // Takes ownership of the local file at sourcePath
+    putFile: async (key, sourcePath) => {
+      try {
+        await fs.promises.rename(sourcePath, resolve(key));
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, resolve(key));
+        await fs.promises.rm(sourcePath, { force: true });
+      }
+    },
+
+    putStream: async (key, stream) => {
+      const partPath = `${resolve(key)}.part`;
+      try {
+        await pipeline(stream, fs.createWriteStream(partPath));
+        await fs.promises.rename(partPath, resolve(key));
+      } catch (error) {
+        await fs.promises.rm(partPath, { force: true });
+        throw error;
+      }
+    },
+
+    // Inclusive byte range; the whole file when no range is given
+    createReadStream: async (key, { start, end } = {}) =>
+      fs.createReadStream(resolve(key), { start, end }),
+
+    readFile: (key) => fs.promises.readFile(resolve(key)),
+
+    remove: (key) => fs.promises.rm(resolve(key), { force: true })
+  };
+};
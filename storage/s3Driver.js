@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  S3Client,
+  HeadObjectCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+// Works with AWS S3 and S3-compatible services such as MinIO (set `endpoint`
+// and `forcePathStyle`)
+export const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  prefix = ''
+}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Only add checksums where S3 requires them; not every S3-compatible
+    // service understands the newer streaming checksum encoding
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+    // Without explicit keys the default AWS credential chain is used
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  const objectKey = (key) => `${prefix}${path.posix.basename(key)}`;
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+      return { size: head.ContentLength, mtime: head.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  };
+
+  const putStream = async (key, stream, { size }) => {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      Body: stream,
+      ContentLength: size,
+      ContentType: 'application/pdf'
+    }));
+  };
+
+  return {
+    driver: 's3',
+    bucket,
+
+    stat,
+
+    exists: async (key) => (await stat(key)) !== null,
+
+    // Takes ownership of the local file at sourcePath
+    putFile: async (key, sourcePath) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await putStream(key, fs.createReadStream(sourcePath), { size });
+      await fs.promises.rm(sourcePath, { force: true });
+    },
+
+    putStream,
+
+    // Inclusive byte range; the whole object when no range is given
+    createReadStream: async (key, { start, end } = {}) => {
+      const object = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ...(start !== undefined && { Range: `bytes=${start}-${end ?? ''}` })
+      }));
+      return object.Body;
+    },
+
+    readFile: async (key) => {
+      const object = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+    }
+  };
+};
@@ -0,0 +1,29 @@
+// Fields for a copy of an annotation (a lean document with `user` populated
+// with its name) on a document owned by `user`. Annotations by other people
+// become the user's, with the original author's name kept, the same as an
+// XFDF import. Replies are copied as they are.
+export const copyAnnotation = (annotation, user) => {
+  const isOwn = annotation.user?._id?.toString() === user.id;
+  return {
+    user: user._id,
+    page: annotation.page,
+    type: annotation.type,
+    content: annotation.content,
+    isPrivate: annotation.isPrivate,
+    source: annotation.source,
+    originalAuthor: isOwn
+      ? annotation.originalAuthor
+      : (annotation.originalAuthor || annotation.user?.name || 'Anonymous'),
+    replies: (annotation.replies || []).map(({ user: author, shareLink, text, originalAuthor, createdAt }) => ({
+      user: author,
+      shareLink,
+      text,
+      originalAuthor,
+      createdAt
+    })),
+    isResolved: annotation.isResolved,
+    // A redaction mark is reviewed again on the document it is copied to
+    redaction: annotation.type === 'redaction' ? { status: 'pending' } : undefined,
+    tags: annotation.tags
+  };
+};
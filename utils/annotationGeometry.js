@@ -0,0 +1,154 @@
+// Annotation coordinates are stored the way the viewer lays pages out: PDF
+// points at scale 1 with the origin at the top-left corner of the visible page
+// (the crop box) as it is displayed, i.e. after the page's /Rotate. PDF user
+// space puts the origin at the bottom-left of the unrotated page, so every
+// conversion needs the page box and its rotation.
+
+export const normalizeAngle = (angle) => ((angle % 360) + 360) % 360;
+
+// Crop box plus the clockwise rotation the page is displayed with
+export const getPageBox = (page) => ({
+  ...page.getCropBox(),
+  rotation: normalizeAngle(page.getRotation().angle)
+});
+
+// Width and height of the page as the viewer shows it
+export const getDisplayedSize = ({ width, height, rotation = 0 }) =>
+  (rotation % 180 === 0 ? { width, height } : { width: height, height: width });
+
+export const toPDFPoint = ({ x: left, y: bottom, width, height, rotation = 0 }, { x, y }) => {
+  switch (rotation) {
+    case 90: return { x: left + y, y: bottom + x };
+    case 180: return { x: left + width - x, y: bottom + y };
+    case 270: return { x: left + width - y, y: bottom + height - x };
+    default: return { x: left + x, y: bottom + height - y };
+  }
+};
+
+export const fromPDFPoint = ({ x: left, y: bottom, width, height, rotation = 0 }, { x, y }) => {
+  switch (rotation) {
+    case 90: return { x: y - bottom, y: x - left };
+    case 180: return { x: left + width - x, y: y - bottom };
+    case 270: return { x: bottom + height - y, y: left + width - x };
+    default: return { x: x - left, y: bottom + height - y };
+  }
+};
+
+const normalizeRect = ({ x, y, width, height }) => ({
+  x: width < 0 ? x + width : x,
+  y: height < 0 ? y + height : y,
+  width: Math.abs(width),
+  height: Math.abs(height)
+});
+
+// Bounding box of an annotation in viewer space, from whichever of
+// coordinates/bounds/points it was stored with
+export const getViewerRect = (content = {}) => {
+  const { coordinates = {}, bounds, points } = content;
+
+  if (typeof coordinates.width === 'number' && typeof coordinates.height === 'number') {
+    return normalizeRect(coordinates);
+  }
+
+  if (bounds && [bounds.x1, bounds.y1, bounds.x2, bounds.y2].every(v => typeof v === 'number')) {
+    return normalizeRect({
+      x: bounds.x1,
+      y: bounds.y1,
+      width: bounds.x2 - bounds.x1,
+      height: bounds.y2 - bounds.y1
+    });
+  }
+
+  if (points && points.length) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
+  return { x: coordinates.x || 0, y: coordinates.y || 0, width: 0, height: 0 };
+};
+
+// Viewer rect -> PDF [llx, lly, urx, ury]
+export const toPDFRect = (box, { x, y, width, height }) => {
+  const a = toPDFPoint(box, { x, y });
+  const b = toPDFPoint(box, { x: x + width, y: y + height });
+  return [Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x, b.x), Math.max(a.y, b.y)];
+};
+
+// PDF [llx, lly, urx, ury] (in any corner order) -> viewer rect
+export const fromPDFRect = (box, [x1, y1, x2, y2]) => {
+  const a = fromPDFPoint(box, { x: x1, y: y1 });
+  const b = fromPDFPoint(box, { x: x2, y: y2 });
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+};
+
+// Viewer rect -> QuadPoints of one quadrilateral: its top-left, top-right,
+// bottom-left and bottom-right corners as displayed, so text markup follows
+// the reading direction on rotated pages
+export const toPDFQuad = (box, { x, y, width, height }) => [
+  { x, y },
+  { x: x + width, y },
+  { x, y: y + height },
+  { x: x + width, y: y + height }
+].flatMap(corner => {
+  const point = toPDFPoint(box, corner);
+  return [point.x, point.y];
+});
+
+// Icons with the NoRotate flag (sticky notes, popups) stay upright at their
+// own size and turn about the upper-left corner of /Rect, so that corner is
+// the one shown at the top-left. Viewer rect <-> PDF /Rect for such icons.
+export const toPDFIconRect = (box, { x, y, width, height }) => {
+  const topLeft = toPDFPoint(box, { x, y });
+  return [topLeft.x, topLeft.y - height, topLeft.x + width, topLeft.y];
+};
+
+export const fromPDFIconRect = (box, [x1, y1, x2, y2]) => {
+  const topLeft = fromPDFPoint(box, { x: Math.min(x1, x2), y: Math.max(y1, y2) });
+  return { ...topLeft, width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+};
+
+export const expandRect = ([llx, lly, urx, ury], amount) =>
+  [llx - amount, lly - amount, urx + amount, ury + amount];
+
+// '#FF0' or '#FFFF00' -> { r, g, b } in the 0..1 range PDF colours use
+export const parseHexColor = (hex = '#FFFF00') => {
+  let value = hex.replace('#', '');
+  if (value.length === 3) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  const number = parseInt(value, 16);
+  if (Number.isNaN(number)) return { r: 1, g: 1, b: 0 };
+  return {
+    r: ((number >> 16) & 255) / 255,
+    g: ((number >> 8) & 255) / 255,
+    b: (number & 255) / 255
+  };
+};
+
+// PDF colour array (gray, RGB or CMYK) -> '#RRGGBB'
+export const toHexColor = (components) => {
+  if (!components || components.length === 0) return undefined;
+
+  let rgb;
+  if (components.length === 1) {
+    rgb = [components[0], components[0], components[0]];
+  } else if (components.length === 4) {
+    const [c, m, y, k] = components;
+    rgb = [(1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k)];
+  } else {
+    rgb = components.slice(0, 3);
+  }
+
+  return `#${rgb
+    .map(v => Math.round(Math.min(Math.max(v, 0), 1) * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()}`;
+};
@@ -0,0 +1,163 @@
+import Annotation from '../models/Annotation.js';
+import AnnotationRevision from '../models/AnnotationRevision.js';
+
+const idOf = (value) => value?._id || value || null;
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// { 'content.text': ..., 'content.style.color': ... }; arrays such as
+// freehand points are compared as a whole
+const flatten = (value, prefix, out = {}) => {
+  if (!isPlainObject(value)) {
+    if (value !== undefined) out[prefix] = value;
+    return out;
+  }
+  Object.entries(value).forEach(([key, entry]) => flatten(entry, `${prefix}.${key}`, out));
+  return out;
+};
+
+// The fields of an annotation that are kept in its history
+export const snapshotAnnotation = (annotation) => {
+  const plain = annotation.toObject ? annotation.toObject({ depopulate: true, virtuals: false }) : annotation;
+  return {
+    content: plain.content || {},
+    tags: plain.tags || [],
+    isPrivate: Boolean(plain.isPrivate),
+    isResolved: Boolean(plain.isResolved),
+    replies: (plain.replies || []).map(({ _id, user, shareLink, text, originalAuthor, createdAt }) => ({
+      _id, user, shareLink, text, originalAuthor, createdAt
+    }))
+  };
+};
+
+// Field-level changes from one snapshot to the next. `before` is null for
+// the first revision. Replies are listed as added or removed.
+export const diffSnapshots = (before, after) => {
+  const changes = [];
+
+  const fromContent = flatten(before?.content || {}, 'content');
+  const toContent = flatten(after.content || {}, 'content');
+  new Set([...Object.keys(fromContent), ...Object.keys(toContent)]).forEach(field => {
+    if (!same(fromContent[field], toContent[field])) {
+      changes.push({ field, from: fromContent[field] ?? null, to: toContent[field] ?? null });
+    }
+  });
+
+  ['tags', 'isPrivate', 'isResolved'].forEach(field => {
+    const from = before ? before[field] : null;
+    if (!same(from, after[field])) changes.push({ field, from, to: after[field] });
+  });
+
+  const replyIds = (replies) => new Set((replies || []).map(reply => reply._id.toString()));
+  const beforeIds = replyIds(before?.replies);
+  const afterIds = replyIds(after.replies);
+  const added = (after.replies || []).filter(reply => !beforeIds.has(reply._id.toString()));
+  const removed = (before?.replies || []).filter(reply => !afterIds.has(reply._id.toString()));
+  if (added.length || removed.length) changes.push({ field: 'replies', added, removed });
+
+  return changes;
+};
+
+const authorOf = ({ user, shareLink, originalAuthor }) => ({
+  user: idOf(user),
+  shareLink: idOf(shareLink),
+  originalAuthor
+});
+
+// Store the annotation's current state as its next revision. `before` is the
+// snapshot from before the change; it becomes revision 1 for annotations that
+// have no history yet (imported, copied or older than history). Changes that
+// leave the annotation as it was are not recorded. Resolves to the new
+// revision number, or null.
+export const recordRevision = async (annotation, { action, author, before = null, revertedTo }) => {
+  const after = snapshotAnnotation(annotation);
+  if (before && diffSnapshots(before, after).length === 0) return null;
+
+  // Two changes at once can race for the same number; the unique index
+  // rejects one and it tries again
+  for (let attempt = 1; ; attempt++) {
+    const latest = await AnnotationRevision.findOne({ annotation: annotation._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    let revision = latest?.revision || 0;
+    const entries = [];
+    if (!latest && before) {
+      entries.push({
+        annotation: annotation._id,
+        pdf: idOf(annotation.pdf),
+        revision: ++revision,
+        action: 'created',
+        ...authorOf(annotation),
+        snapshot: before,
+        createdAt: annotation.createdAt
+      });
+    }
+    entries.push({
+      annotation: annotation._id,
+      pdf: idOf(annotation.pdf),
+      revision: ++revision,
+      action,
+      ...authorOf(author),
+      revertedTo,
+      snapshot: after
+    });
+
+    try {
+      await AnnotationRevision.insertMany(entries);
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+};
+
+// Every revision of an annotation, oldest first, with authors' names.
+// Annotations without history get their current state as revision 1.
+export const getRevisions = async (annotation) => {
+  const populate = [
+    { path: 'user', select: 'name' },
+    { path: 'snapshot.replies.user', select: 'name' }
+  ];
+
+  const revisions = await AnnotationRevision.find({ annotation: annotation._id })
+    .sort({ revision: 1 })
+    .populate(populate)
+    .lean();
+  if (revisions.length > 0) return revisions;
+
+  const initial = await AnnotationRevision.populate({
+    annotation: annotation._id,
+    pdf: idOf(annotation.pdf),
+    revision: 1,
+    action: 'created',
+    ...authorOf(annotation),
+    snapshot: snapshotAnnotation(annotation),
+    createdAt: annotation.createdAt
+  }, populate);
+  return [initial];
+};
+
+// One revision of an annotation, or null. Without stored history revision 1
+// is the annotation as it is.
+export const findRevision = async (annotation, revision) => {
+  const found = await AnnotationRevision.findOne({ annotation: annotation._id, revision }).lean();
+  if (found || revision !== 1) return found;
+
+  const hasHistory = await AnnotationRevision.exists({ annotation: annotation._id });
+  return hasHistory ? null : { revision: 1, snapshot: snapshotAnnotation(annotation) };
+};
+
+// Permanently delete the annotations matching `filter`, trashed or not,
+// together with their history. Resolves to the number deleted.
+export const purgeAnnotations = async (filter) => {
+  const ids = await Annotation.distinct('_id', filter);
+  if (ids.length === 0) return 0;
+
+  const { deletedCount } = await Annotation.deleteMany({ _id: { $in: ids } });
+  await AnnotationRevision.deleteMany({ annotation: { $in: ids } });
+  return deletedCount;
+};
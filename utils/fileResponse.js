@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import parseRange from 'range-parser';
+
+// Strong validator for the stored bytes. Content-addressed files use their
+// SHA-256; older files fall back to size and modification time.
+export const buildETag = ({ size, mtime, contentHash }) => {
+  if (contentHash) return `"${contentHash}"`;
+
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${size}:${mtime.getTime()}`)
+    .digest('base64url');
+  return `"${size.toString(16)}-${hash}"`;
+};
+
+const parseETagList = (header) => header
+  .split(',')
+  .map(tag => tag.trim())
+  .filter(Boolean);
+
+// Weak comparison, as required for If-None-Match
+const matchesAnyETag = (header, etag) => parseETagList(header)
+  .some(tag => tag === '*' || tag.replace(/^W\//, '') === etag);
+
+// HTTP dates only have second precision
+const notModifiedSince = (header, lastModified) => {
+  const since = Date.parse(header);
+  if (Number.isNaN(since)) return false;
+  return Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+};
+
+const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) return matchesAnyETag(ifNoneMatch, etag);
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince) return notModifiedSince(ifModifiedSince, lastModified);
+
+  return false;
+};
+
+// If-Range must match exactly (strong comparison) for the range to be honoured
+const isRangeFresh = (req, { etag, lastModified }) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <= date;
+};
+
+// Settles once the stream has been sent or the client has gone away. The
+// source is destroyed on an aborted request so its file descriptor or S3
+// body is not left open.
+const pipeStream = async (source, res, end) => {
+  const stream = await source;
+  if (res.destroyed) {
+    stream.destroy();
+    return;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      stream.destroy();
+      resolve();
+    };
+    res.once('close', onClose);
+
+    stream.on('error', (error) => {
+      res.off('close', onClose);
+      reject(error);
+    });
+    stream.on('end', () => {
+      res.off('close', onClose);
+      resolve();
+    });
+    stream.pipe(res, { end });
+  });
+};
+
+// Send a file with ETag/Last-Modified validators, 304 handling and
+// single or multipart byte ranges. `createReadStream({ start, end })` must
+// return a readable stream (or a promise of one) for the inclusive byte range.
+export const sendFile = async (req, res, {
+  size,
+  mtime,
+  contentType,
+  filename,
+  contentHash,
+  createReadStream
+}) => {
+  const etag = buildETag({ size, mtime, contentHash });
+  const lastModified = mtime;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+
+  if (isNotModified(req, { etag, lastModified })) {
+    return res.status(304).end();
+  }
+
+  let ranges = null;
+  if (req.headers.range && isRangeFresh(req, { etag, lastModified })) {
+    ranges = parseRange(size, req.headers.range, { combine: true });
+
+    // Unsatisfiable
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({
+        success: false,
+        message: 'Requested range not satisfiable'
+      });
+    }
+
+    // Malformed or not a byte range: ignore it and send the whole file
+    if (ranges === -2 || ranges.type !== 'bytes') {
+      ranges = null;
+    }
+  }
+
+  const isHead = req.method === 'HEAD';
+
+  if (!ranges) {
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', size);
+    if (isHead) return res.end();
+    return pipeStream(createReadStream({ start: 0, end: size - 1 }), res, true);
+  }
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.status(206);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', end - start + 1);
+    if (isHead) return res.end();
+    return pipeStream(createReadStream({ start, end }), res, true);
+  }
+
+  // Multiple ranges: multipart/byteranges body
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    header: `--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  }));
+  const closing = `\r\n--${boundary}--\r\n`;
+  const contentLength = parts.reduce(
+    (total, part, index) => total +
+      (index > 0 ? 2 : 0) +
+      Buffer.byteLength(part.header) +
+      (part.end - part.start + 1),
+    Buffer.byteLength(closing)
+  );
+
+  res.status(206);
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', contentLength);
+  if (isHead) return res.end();
+
+  for (const [index, part] of parts.entries()) {
+    res.write(`${index > 0 ? '\r\n' : ''}${part.header}`);
+    await pipeStream(createReadStream({ start: part.start, end: part.end }), res, false);
+  }
+  res.end(closing);
+};
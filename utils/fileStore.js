@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import StoredFile from '../models/StoredFile.js';
+import { getStorage } from '../storage/index.js';
+import { tempDir } from '../middleware/upload.js';
+
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// How long storeFile waits for a release of the same content to finish, and
+// when a mark is old enough to belong to a release that never finished
+const RELEASE_WAIT_ATTEMPTS = 5;
+const RELEASE_WAIT_DELAY = 200;
+const STALE_RELEASE_AGE = 10 * 60 * 1000;
+
+// Increment the reference count of `hash`, creating its record if needed.
+// A record marked for deletion makes the upsert collide with it on the
+// unique hash, so this waits for releaseFile to delete it and tries again.
+const takeReference = async (hash, { filename, size }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await StoredFile.findOneAndUpdate(
+        { hash, deleting: { $ne: true } },
+        {
+          $inc: { refCount: 1 },
+          $setOnInsert: { filename, size }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RELEASE_WAIT_ATTEMPTS) throw error;
+    }
+
+    // A release that died after marking the record would block this content
+    // for good; its bytes are about to be written again anyway
+    await StoredFile.deleteOne({
+      hash,
+      deleting: true,
+      updatedAt: { $lt: new Date(Date.now() - STALE_RELEASE_AGE) }
+    });
+    await new Promise(resolve => setTimeout(resolve, RELEASE_WAIT_DELAY * attempt));
+  }
+};
+
+// Move a freshly uploaded file into content-addressed storage and take a
+// reference on it. If identical bytes are already stored the upload is dropped.
+export const storeFile = async (sourcePath) => {
+  const storage = getStorage();
+  const hash = await hashFile(sourcePath);
+  const { size } = await fs.promises.stat(sourcePath);
+  const filename = `${hash}.pdf`;
+
+  // Take the reference first, so a concurrent release of the same content
+  // cannot remove the bytes once we have decided to reuse them
+  const { lastErrorObject } = await takeReference(hash, { filename, size });
+
+  try {
+    if (!lastErrorObject?.updatedExisting || !(await storage.exists(filename))) {
+      await storage.putFile(filename, sourcePath);
+    } else {
+      await fs.promises.rm(sourcePath, { force: true });
+    }
+  } catch (error) {
+    await releaseFile(hash);
+    throw error;
+  }
+
+  return { hash, filename, size };
+};
+
+// Take another reference on stored content. Resolves to the stored file, or
+// null if nothing is stored under the hash or it is being removed.
+export const retainFile = (hash) => StoredFile.findOneAndUpdate(
+  { hash, deleting: { $ne: true } },
+  { $inc: { refCount: 1 } },
+  { new: true }
+);
+
+// Drop a reference; the bytes are removed once nothing uses them
+export const releaseFile = async (hash) => {
+  const stored = await StoredFile.findOneAndUpdate(
+    { hash, deleting: { $ne: true } },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+  if (!stored || stored.refCount > 0) return;
+
+  // Mark the record rather than deleting it, unless something took a new
+  // reference in the meantime. While it is marked storeFile waits instead of
+  // storing the same content again, so the bytes removed below cannot be
+  // ones it has just written.
+  const marked = await StoredFile.findOneAndUpdate(
+    { hash, refCount: { $lte: 0 }, deleting: { $ne: true } },
+    { $set: { deleting: true } },
+    { new: true }
+  );
+  if (!marked) return;
+
+  try {
+    await getStorage().remove(marked.filename);
+  } catch (error) {
+    await StoredFile.updateOne({ hash, deleting: true }, { $set: { deleting: false } });
+    throw error;
+  }
+  await StoredFile.deleteOne({ hash, deleting: true });
+};
+
+// Release the file behind a PDF revision. Revisions stored before
+// deduplication own their file outright.
+export const releaseVersionFile = async ({ fileHash, filename }) => {
+  if (fileHash) return releaseFile(fileHash);
+  await getStorage().remove(filename);
+};
+
+// Reference a PDF revision's file for another document. Content-addressed
+// files are shared; files stored before deduplication are copied into
+// content-addressed storage first. Resolves to { hash, filename, size }.
+export const copyVersionFile = async ({ fileHash, filename }) => {
+  const stored = fileHash && await retainFile(fileHash);
+  if (stored) {
+    return { hash: stored.hash, filename: stored.filename, size: stored.size };
+  }
+
+  const tempPath = path.join(tempDir, `${uuidv4()}.pdf`);
+  try {
+    await pipeline(await getStorage().createReadStream(filename), fs.createWriteStream(tempPath));
+    return await storeFile(tempPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+};
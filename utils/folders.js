@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import Folder from '../models/Folder.js';
+
+// Deepest allowed nesting, counting top-level folders as depth 1
+export const MAX_FOLDER_DEPTH = 20;
+
+// `folder` query/body values that mean "top level": null, '' or 'root'
+export const isRootFolder = (value) => value === null || value === '' || value === 'root';
+
+// The user's folder with this id, or null
+export const findUserFolder = async (folderId, userId) => {
+  if (!mongoose.isValidObjectId(folderId)) return null;
+  return Folder.findOne({ _id: folderId, user: userId });
+};
+
+// Path from the top level down to (and including) the folder
+export const buildBreadcrumbs = async (folder) => {
+  const ancestors = await Folder.find({ _id: { $in: folder.ancestors } }).select('name');
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+  return [...folder.ancestors.map(id => byId.get(id.toString())).filter(Boolean), folder]
+    .map(entry => ({ id: entry._id, name: entry.name }));
+};
+
+export const formatFolder = (folder) => ({
+  id: folder._id,
+  name: folder.name,
+  parent: folder.parent,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt
+});
@@ -0,0 +1,351 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { PDFDocument, degrees } from 'pdf-lib';
+import Annotation from '../models/Annotation.js';
+import { tempDir } from '../middleware/upload.js';
+import { getStorage } from '../storage/index.js';
+import { getPageBox, getDisplayedSize, normalizeAngle } from './annotationGeometry.js';
+import { copyAnnotation } from './annotationCopies.js';
+import { createPDFFromFile } from './pdfIngest.js';
+import { validateUpload } from './pdfValidation.js';
+import { checkUploadQuota, checkAnnotationQuota } from './quotas.js';
+
+export const PAGE_OPERATIONS = ['extract', 'split', 'rotate', 'delete', 'reorder'];
+
+// Most documents one split may produce, and most sources one merge may use
+export const MAX_SPLIT_PARTS = 50;
+export const MAX_MERGE_SOURCES = 20;
+
+// Page selection: "1-3, 5, 8-" (open ranges run to the first or last page),
+// or an array of page numbers. Returns { pages } or { error }.
+export const parsePageSelection = (spec, pageCount) => {
+  if (Array.isArray(spec)) {
+    if (spec.length === 0 || !spec.every(page => Number.isInteger(page) && page >= 1 && page <= pageCount)) {
+      return { error: `Pages must be numbers between 1 and ${pageCount}` };
+    }
+    return { pages: spec };
+  }
+
+  if (typeof spec !== 'string' || spec.trim() === '') {
+    return { error: 'Please provide the pages, e.g. "1-3, 5"' };
+  }
+
+  const pages = [];
+  for (const part of spec.split(',')) {
+    const match = part.trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+    if (!match || (!match[1] && !match[3])) {
+      return { error: `Invalid page range "${part.trim()}"` };
+    }
+
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : start;
+    if (start < 1 || end > pageCount || start > end) {
+      return { error: `Page range "${part.trim()}" is outside pages 1-${pageCount}` };
+    }
+
+    for (let page = start; page <= end; page++) pages.push(page);
+  }
+  return { pages };
+};
+
+// "1-3,5" for [1, 2, 3, 5], used in default titles
+const describePages = (pages) => {
+  const ranges = [];
+  for (const page of pages) {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) last[1] = page;
+    else ranges.push([page, page]);
+  }
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(',');
+};
+
+// Title for a new document, e.g. "Annual report (pages 1-3)", kept within
+// the 100 characters the PDF schema allows
+export const derivedTitle = (title, label) => {
+  const suffix = ` (${label})`.slice(0, 50);
+  return `${title.slice(0, 100 - suffix.length).trim()}${suffix}`;
+};
+
+const keep = (pages, rotate = 0) => pages.map(page => ({ page, rotate }));
+
+const range = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+
+// Work out which source pages go into which new document. Returns
+// { outputs: [{ label, pages: [{ page, rotate }] }] } or { error }.
+export const planPageOperation = ({ operation, pages, angle, order, ranges, every }, pageCount) => {
+  if (!PAGE_OPERATIONS.includes(operation)) {
+    return { error: `Operation must be one of: ${PAGE_OPERATIONS.join(', ')}` };
+  }
+
+  const all = range(1, pageCount);
+
+  switch (operation) {
+    case 'extract': {
+      const selection = parsePageSelection(pages, pageCount);
+      if (selection.error) return selection;
+      return { outputs: [{ label: `pages ${describePages(selection.pages)}`, pages: keep(selection.pages) }] };
+    }
+
+    case 'delete': {
+      const selection = parsePageSelection(pages, pageCount);
+      if (selection.error) return selection;
+      const removed = new Set(selection.pages);
+      const remaining = all.filter(page => !removed.has(page));
+      if (remaining.length === 0) return { error: 'At least one page must remain' };
+      return { outputs: [{ label: `without pages ${describePages([...removed].sort((a, b) => a - b))}`, pages: keep(remaining) }] };
+    }
+
+    case 'rotate': {
+      if (![90, 180, 270, -90].includes(angle)) {
+        return { error: 'Angle must be one of: 90, 180, 270, -90' };
+      }
+      const selection = pages === undefined ? { pages: all } : parsePageSelection(pages, pageCount);
+      if (selection.error) return selection;
+      const rotated = new Set(selection.pages);
+      return {
+        outputs: [{
+          label: 'rotated',
+          pages: all.map(page => ({ page, rotate: rotated.has(page) ? normalizeAngle(angle) : 0 }))
+        }]
+      };
+    }
+
+    case 'reorder': {
+      const isPermutation = Array.isArray(order) &&
+        order.length === pageCount &&
+        [...order].sort((a, b) => a - b).every((page, index) => page === index + 1);
+      if (!isPermutation) {
+        return { error: `Order must list every page from 1 to ${pageCount} exactly once` };
+      }
+      return { outputs: [{ label: 'reordered', pages: keep(order) }] };
+    }
+
+    case 'split': {
+      let parts;
+      if (every !== undefined) {
+        if (!Number.isInteger(every) || every < 1) return { error: 'every must be a positive integer' };
+        parts = [];
+        for (let start = 1; start <= pageCount; start += every) {
+          parts.push(range(start, Math.min(start + every - 1, pageCount)));
+        }
+      } else if (Array.isArray(ranges) && ranges.length > 0) {
+        parts = [];
+        for (const spec of ranges) {
+          const selection = parsePageSelection(spec, pageCount);
+          if (selection.error) return selection;
+          parts.push(selection.pages);
+        }
+      } else {
+        return { error: 'Please provide ranges (e.g. ["1-3", "4-"]) or every' };
+      }
+
+      if (parts.length > MAX_SPLIT_PARTS) {
+        return { error: `A split can produce at most ${MAX_SPLIT_PARTS} documents` };
+      }
+      return { outputs: parts.map(part => ({ label: `pages ${describePages(part)}`, pages: keep(part) })) };
+    }
+  }
+};
+
+// Open a source PDF's current revision. Returns { document } or
+// { failure: { status, message } }.
+export const loadSourceDocument = async (pdf) => {
+  let bytes;
+  try {
+    bytes = await getStorage().readFile(pdf.filename);
+  } catch (error) {
+    return { failure: { status: 404, message: `File of "${pdf.title}" not found on server` } };
+  }
+
+  try {
+    return { document: await PDFDocument.load(bytes, { updateMetadata: false }) };
+  } catch (error) {
+    return {
+      failure: {
+        status: 422,
+        message: error.name === 'EncryptedPDFError'
+          ? `"${pdf.title}" is encrypted and its pages cannot be reused`
+          : `"${pdf.title}" could not be read`
+      }
+    };
+  }
+};
+
+// Turning the page clockwise by `angle` moves a point on the displayed page
+// (of the given size) to its place on the turned page. Annotations are
+// stored in displayed coordinates (see annotationGeometry.js), so this is all
+// a rotation changes for them.
+const rotatePoint = ({ x, y }, angle, { width, height }) => {
+  switch (angle) {
+    case 90: return { x: height - y, y: x };
+    case 180: return { x: width - x, y: height - y };
+    case 270: return { x: y, y: width - x };
+    default: return { x, y };
+  }
+};
+
+const rotateRect = ({ x, y, width, height }, angle, size) => {
+  const a = rotatePoint({ x, y }, angle, size);
+  const b = rotatePoint({ x: x + width, y: y + height }, angle, size);
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+};
+
+// Annotation content with its geometry moved along with a turned page
+export const rotateContent = (content, angle, size) => {
+  if (!angle) return content;
+  const rotated = { ...content };
+  const { coordinates, bounds, points } = content;
+
+  if (coordinates) {
+    rotated.coordinates = typeof coordinates.width === 'number' && typeof coordinates.height === 'number'
+      ? rotateRect(coordinates, angle, size)
+      : { ...coordinates, ...rotatePoint(coordinates, angle, size) };
+  }
+
+  if (bounds && [bounds.x1, bounds.y1, bounds.x2, bounds.y2].every(v => typeof v === 'number')) {
+    const a = rotatePoint({ x: bounds.x1, y: bounds.y1 }, angle, size);
+    const b = rotatePoint({ x: bounds.x2, y: bounds.y2 }, angle, size);
+    rotated.bounds = { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+  }
+
+  if (points?.length) {
+    rotated.points = points.map(point => rotatePoint(point, angle, size));
+  }
+
+  return rotated;
+};
+
+// Copies of the annotations taken from one source page, placed on
+// `page` of the new document
+const copyAnnotations = (annotations, { page, rotate, size }, user) => annotations.map(annotation => ({
+  ...copyAnnotation(annotation, user),
+  page,
+  content: rotateContent(annotation.content, rotate, size)
+}));
+
+// Public annotations and the user's own private ones. Even on their own
+// documents owners do not copy collaborators' private annotations, which
+// would become the owner's on the copy.
+const sourceAnnotations = async ({ pdf }, user) => {
+  const annotations = await Annotation.find({
+    pdf: pdf._id,
+    version: Annotation.versionFilter(pdf.currentVersion || 1),
+    $or: [{ isPrivate: false }, { user: user._id }]
+  })
+    .sort({ createdAt: 1 })
+    .populate('user', 'name')
+    .lean();
+
+  const byPage = new Map();
+  for (const annotation of annotations) {
+    if (!byPage.has(annotation.page)) byPage.set(annotation.page, []);
+    byPage.get(annotation.page).push(annotation);
+  }
+  return byPage;
+};
+
+// Assemble one new document from source pages and write it to a temporary
+// file. `parts` are [{ source, page, rotate }] in output order.
+const writeDocument = async (parts, user, annotationsBySource) => {
+  const output = await PDFDocument.create();
+  const annotations = [];
+
+  // Copy each source's pages in one go so shared resources are copied once
+  const copies = new Map();
+  for (const source of new Set(parts.map(part => part.source))) {
+    const indices = parts.filter(part => part.source === source).map(part => part.page - 1);
+    copies.set(source, await output.copyPages(source.document, indices));
+  }
+
+  const next = new Map();
+  parts.forEach((part, index) => {
+    const position = next.get(part.source) || 0;
+    next.set(part.source, position + 1);
+
+    const sourcePage = part.source.document.getPage(part.page - 1);
+    const page = output.addPage(copies.get(part.source)[position]);
+    if (part.rotate) {
+      page.setRotation(degrees(normalizeAngle(page.getRotation().angle + part.rotate)));
+    }
+
+    const onPage = annotationsBySource.get(part.source).get(part.page) || [];
+    annotations.push(...copyAnnotations(onPage, {
+      page: index + 1,
+      rotate: part.rotate,
+      size: getDisplayedSize(getPageBox(sourcePage))
+    }, user));
+  });
+
+  const filePath = path.join(tempDir, `${uuidv4()}.pdf`);
+  const bytes = await output.save();
+  await fs.promises.writeFile(filePath, bytes);
+
+  return { filePath, size: bytes.length, annotations };
+};
+
+const removeFiles = (files) => Promise.all(files.map(file => fs.promises.rm(file.filePath, { force: true })));
+
+// Create new PDFs owned by the user from pages of sources the user can view.
+//   outputs: [{ title, parts: [{ source, page, rotate }] }]
+//   sources: { pdf, access, document }
+// Resolves to { pdfs: [{ pdf, annotations }] } or { failure: { status, message } }.
+export const createDerivedPDFs = async (user, outputs, fields) => {
+  const annotationsBySource = new Map();
+  for (const source of new Set(outputs.flatMap(output => output.parts.map(part => part.source)))) {
+    annotationsBySource.set(source, await sourceAnnotations(source, user));
+  }
+
+  const files = [];
+  try {
+    for (const output of outputs) {
+      files.push(await writeDocument(output.parts, user, annotationsBySource));
+    }
+
+    const annotationCount = files.reduce((sum, file) => sum + file.annotations.length, 0);
+    const failure = await checkUploadQuota(user, {
+      bytes: files.reduce((sum, file) => sum + file.size, 0),
+      documents: files.length
+    }) || (annotationCount > 0 && await checkAnnotationQuota(user, annotationCount));
+    if (failure) {
+      await removeFiles(files);
+      return { failure };
+    }
+
+    // Sources were checked when uploaded, but the policy may have changed since
+    const validations = [];
+    for (const file of files) {
+      const { rejectReason, validation } = await validateUpload(file.filePath);
+      if (rejectReason) {
+        await removeFiles(files);
+        return { failure: { status: 422, message: rejectReason } };
+      }
+      validations.push(validation);
+    }
+
+    const created = [];
+    for (const [index, file] of files.entries()) {
+      const title = outputs[index].title;
+      const { pdf } = await createPDFFromFile({
+        path: file.filePath,
+        originalname: `${title.replace(/[\\/:*?"<>|]/g, '_').slice(0, 150)}.pdf`,
+        mimetype: 'application/pdf'
+      }, user.id, { ...fields, title, importAnnotations: false }, validations[index]);
+
+      const annotations = file.annotations.length
+        ? await Annotation.insertMany(file.annotations.map(annotation => ({ ...annotation, pdf: pdf._id, version: 1 })))
+        : [];
+      created.push({ pdf, annotations: annotations.length });
+    }
+
+    return { pdfs: created };
+  } catch (error) {
+    await removeFiles(files);
+    throw error;
+  }
+};
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+// Sortable fields per list, as exposed in ?sort= (prefix with - for
+// descending) mapped to document paths
+export const PDF_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  title: 'title',
+  size: 'fileSize',
+  accessCount: 'accessCount'
+};
+
+export const ANNOTATION_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  page: 'page'
+};
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Cursor values end up in the query, so only plain values are accepted;
+// anything else (such as { $ne: null }) would be read as an operator
+const isCursorValue = (value, isDate) => {
+  if (isDate) return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+  return value === null || value === undefined || typeof value === 'string' ||
+    (typeof value === 'number' && Number.isFinite(value));
+};
+
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!data || typeof data !== 'object' || !mongoose.isValidObjectId(data.id)) return null;
+    if (typeof data.id !== 'string' || typeof data.date !== 'boolean') return null;
+    if (!isCursorValue(data.value, data.date)) return null;
+    return data;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse ?sort=, ?limit= and ?cursor= for a keyset-paginated list. Results are
+// ordered by the sort field with _id as tie-breaker, and a cursor holds both
+// values of the last item returned, so pages stay stable while items are
+// added. Returns { error } for bad parameters.
+export const parseCursorParams = (query, {
+  sortFields,
+  defaultSort = '-createdAt',
+  defaultLimit = 10,
+  maxLimit = 100
+}) => {
+  const sortParam = query.sort || defaultSort;
+  if (typeof sortParam !== 'string') {
+    return { error: 'Sort must be given once' };
+  }
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const field = sortFields[sortParam.replace(/^-/, '')];
+  if (!field) {
+    return { error: `Sort must be one of: ${Object.keys(sortFields).join(', ')} (prefix with - for descending)` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after) return { error: 'Invalid cursor' };
+    if (after.sort !== sortParam) return { error: 'The cursor belongs to a different sort order' };
+  }
+
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    sort: sortParam,
+    limit,
+
+    // Narrow a query to the items after the cursor
+    filter: (base) => {
+      if (!after) return base;
+      const value = after.date ? new Date(after.value) : (after.value ?? null);
+      const id = new mongoose.Types.ObjectId(after.id);
+      return {
+        $and: [
+          base,
+          { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] }
+        ]
+      };
+    },
+
+    // Mongoose sort specification
+    order: { [field]: direction, _id: direction },
+
+    // Query one item more than `limit` and hand the results here, to learn
+    // whether another page exists
+    finish: (docs) => {
+      const hasMore = docs.length > limit;
+      const items = hasMore ? docs.slice(0, limit) : docs;
+      const last = items[items.length - 1];
+      const value = last?.get(field);
+
+      return {
+        items,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor({ sort: sortParam, value, date: value instanceof Date, id: last._id.toString() })
+          : null
+      };
+    }
+  };
+};
+
+// RFC 8288 Link header with the first page and, if there is one, the next
+export const setPaginationLinks = (req, res, nextCursor) => {
+  const url = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+  const link = (cursor, rel) => {
+    if (cursor) url.searchParams.set('cursor', cursor);
+    else url.searchParams.delete('cursor');
+    return `<${url.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [link(null, 'first')];
+  if (nextCursor) links.push(link(nextCursor, 'next'));
+  res.setHeader('Link', links.join(', '));
+};
@@ -0,0 +1,71 @@
+import Collection from '../models/Collection.js';
+
+// Roles that can be granted on a PDF through its access list
+export const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+const rank = (role) => ROLE_RANK[role] || 0;
+
+const idOf = (value) => (value?._id || value).toString();
+
+// Resolve what a user (or an anonymous visitor when `user` is null) may do
+// with a PDF. Every PDF and annotation route checks access through this.
+//   owner      the uploader; admins are treated as owners
+//   editor     update details and upload or restore versions
+//   commenter  add annotations and replies
+//   viewer     read the document and its public annotations
+// Public PDFs and PDFs in a public or shared collection give commenter access.
+// A share link for the PDF (req.shareLink) adds viewer or commenter access.
+export const getPDFAccess = async (pdf, user, shareLink = null) => {
+  const userId = user?.id;
+  const isOwner = Boolean(userId) && idOf(pdf.user) === userId;
+
+  let role = null;
+  if (isOwner || user?.role === 'admin') {
+    role = 'owner';
+  } else {
+    const share = userId && (pdf.sharedWith || []).find(entry => idOf(entry.user) === userId);
+    role = share?.role || null;
+
+    // Anonymous visitors can only read
+    const publicRole = userId ? 'commenter' : 'viewer';
+    if (rank(role) < rank(publicRole) &&
+        (pdf.isPublic || await Collection.grantsAccess(pdf._id, userId))) {
+      role = publicRole;
+    }
+  }
+
+  if (shareLink && idOf(shareLink.pdf) === pdf._id.toString()) {
+    const linkRole = shareLink.permission === 'comment' ? 'commenter' : 'viewer';
+    if (rank(linkRole) > rank(role)) role = linkRole;
+  }
+
+  return {
+    role,
+    isOwner,
+    canView: rank(role) >= rank('viewer'),
+    canComment: rank(role) >= rank('commenter'),
+    canEdit: rank(role) >= rank('editor'),
+    canManage: rank(role) >= rank('owner')
+  };
+};
+
+// Annotations a user may see on a PDF: everything for the owner, otherwise
+// public annotations plus their own private ones
+export const visibleAnnotationsQuery = (access, user) => {
+  if (access.isOwner) return {};
+  if (!user) return { isPrivate: false };
+  return { $or: [{ isPrivate: false }, { user: user._id }] };
+};
+
+// PDF query matching every document the user can at least view, including
+// those reachable through public or shared collections
+export const accessiblePDFsQuery = async (user) => {
+  const audience = [
+    { isPublic: true },
+    { _id: { $in: await Collection.grantedPDFIds(user?._id) } }
+  ];
+  if (user) audience.push({ user: user._id }, { 'sharedWith.user': user._id });
+  return { $or: audience };
+};
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import PDF from '../models/PDF.js';
+import PDFViewEvent from '../models/PDFViewEvent.js';
+import Annotation from '../models/Annotation.js';
+import User from '../models/User.js';
+
+export const ANALYTICS_INTERVALS = ['day', 'week'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most buckets one analytics request may return
+export const MAX_BUCKETS = 400;
+
+const idOf = (value) => (value?._id || value).toString();
+
+// How the viewer got access; owner views are kept apart so they do not
+// inflate a document's numbers
+const viewSource = (pdf, user, access, shareLink) => {
+  if (access.isOwner) return 'owner';
+  if (user?.role === 'admin') return 'admin';
+  if (user && (pdf.sharedWith || []).some(entry => idOf(entry.user) === user.id)) return 'shared';
+  if (shareLink) return 'share_link';
+  return 'public';
+};
+
+// Record a view or download. Never fails the request it belongs to.
+export const recordPDFEvent = async (req, pdf, access, { type = 'view', resource = 'details' } = {}) => {
+  try {
+    const user = req.user || null;
+    const source = viewSource(pdf, user, access, req.shareLink);
+
+    await PDFViewEvent.create({
+      pdf: pdf._id,
+      type,
+      user: user?._id || null,
+      visitorHash: user
+        ? null
+        : crypto.createHash('sha256').update(`${req.ip}|${req.headers['user-agent'] || ''}`).digest('hex'),
+      source,
+      shareLink: req.shareLink?._id || null,
+      resource
+    });
+
+    // The summary counters on the document only count other people's views
+    if (type === 'view' && !access.canManage) {
+      const lastAccessed = new Date();
+      await PDF.updateOne({ _id: pdf._id }, { $inc: { accessCount: 1 }, $set: { lastAccessed } });
+      pdf.accessCount += 1;
+      pdf.lastAccessed = lastAccessed;
+    }
+  } catch (error) {
+    console.error('Failed to record PDF view:', error);
+  }
+};
+
+// Start of the UTC day or ISO week (Monday) containing the date
+const bucketStart = (date, interval) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+export const countBuckets = (from, to, interval) =>
+  Math.floor((bucketStart(to, interval) - bucketStart(from, interval)) / (interval === 'week' ? 7 * DAY : DAY)) + 1;
+
+// Signed-in viewers by account, anonymous ones by their visitor hash
+const visitorKey = { $ifNull: [{ $toString: '$user' }, '$visitorHash'] };
+const countType = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, 1, 0] } });
+
+const viewStats = async (match) => {
+  const [totals] = await PDFViewEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        views: countType('view'),
+        downloads: countType('download'),
+        visitors: { $addToSet: visitorKey },
+        accounts: { $addToSet: '$user' }
+      }
+    }
+  ]);
+
+  const bySource = await PDFViewEvent.aggregate([
+    { $match: match },
+    { $group: { _id: '$source', views: countType('view'), downloads: countType('download') } }
+  ]);
+
+  return {
+    views: totals?.views || 0,
+    downloads: totals?.downloads || 0,
+    uniqueViewers: totals?.visitors.length || 0,
+    signedInViewers: totals ? totals.accounts.filter(Boolean).length : 0,
+    anonymousViewers: totals
+      ? totals.visitors.length - totals.accounts.filter(Boolean).length
+      : 0,
+    sources: Object.fromEntries(bySource.map(({ _id, views, downloads }) => [_id, { views, downloads }]))
+  };
+};
+
+// Views per day or week, with empty buckets filled in
+const viewTimeline = async (match, { from, to, interval }) => {
+  const rows = await PDFViewEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday', timezone: 'UTC' } },
+        views: countType('view'),
+        downloads: countType('download'),
+        visitors: { $addToSet: visitorKey }
+      }
+    }
+  ]);
+  const byBucket = new Map(rows.map(row => [row._id.getTime(), row]));
+
+  const timeline = [];
+  for (let start = bucketStart(from, interval); start <= to;) {
+    const row = byBucket.get(start.getTime());
+    timeline.push({
+      start,
+      views: row?.views || 0,
+      downloads: row?.downloads || 0,
+      uniqueViewers: row?.visitors.length || 0
+    });
+
+    start = new Date(start);
+    start.setUTCDate(start.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return timeline;
+};
+
+// Pages of the current revision with the most annotations
+const topPages = async (pdf, limit) => {
+  const pages = await Annotation.aggregate([
+    {
+      $match: {
+        pdf: pdf._id,
+        version: Annotation.versionFilter(pdf.currentVersion || 1),
+        deletedAt: null
+      }
+    },
+    {
+      $group: {
+        _id: '$page',
+        annotations: { $sum: 1 },
+        replies: { $sum: { $size: { $ifNull: ['$replies', []] } } }
+      }
+    },
+    { $sort: { annotations: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return pages.map(({ _id, annotations, replies }) => ({ page: _id, annotations, replies }));
+};
+
+// People with the most annotations and replies on the document. Guests are
+// grouped by the name they gave.
+const topCommenters = async (pdf, limit) => {
+  const authors = await Annotation.aggregate([
+    { $match: { pdf: pdf._id, deletedAt: null } },
+    {
+      $project: {
+        authors: {
+          $concatArrays: [
+            [{ user: '$user', name: '$originalAuthor', isReply: false }],
+            {
+              $map: {
+                input: { $ifNull: ['$replies', []] },
+                as: 'reply',
+                in: { user: '$$reply.user', name: '$$reply.originalAuthor', isReply: true }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$authors' },
+    {
+      $group: {
+        _id: {
+          user: '$authors.user',
+          name: { $cond: [{ $ifNull: ['$authors.user', false] }, null, '$authors.name'] }
+        },
+        annotations: { $sum: { $cond: ['$authors.isReply', 0, 1] } },
+        replies: { $sum: { $cond: ['$authors.isReply', 1, 0] } }
+      }
+    },
+    { $addFields: { total: { $add: ['$annotations', '$replies'] } } },
+    { $sort: { total: -1 } },
+    { $limit: limit }
+  ]);
+
+  const users = await User.find({ _id: { $in: authors.map(author => author._id.user).filter(Boolean) } })
+    .select('name');
+  const names = new Map(users.map(user => [user._id.toString(), user.name]));
+
+  return authors.map(({ _id, annotations, replies, total }) => ({
+    user: _id.user || null,
+    name: (_id.user && names.get(_id.user.toString())) || _id.name || 'Anonymous',
+    annotations,
+    replies,
+    total
+  }));
+};
+
+export const buildPDFAnalytics = async (pdf, { from, to, interval, includeOwner, limit = 10 }) => {
+  const match = { pdf: pdf._id, createdAt: { $gte: from, $lte: to } };
+  if (!includeOwner) match.source = { $ne: 'owner' };
+
+  const [summary, timeline, pages, commenters] = await Promise.all([
+    viewStats(match),
+    viewTimeline(match, { from, to, interval }),
+    topPages(pdf, limit),
+    topCommenters(pdf, limit)
+  ]);
+
+  return {
+    range: { from, to, interval, includeOwner },
+    summary,
+    timeline,
+    topPages: pages,
+    topCommenters: commenters
+  };
+};
@@ -0,0 +1,338 @@
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+  PDFRef
+} from 'pdf-lib';
+import {
+  getPageBox,
+  fromPDFPoint,
+  fromPDFRect,
+  fromPDFIconRect,
+  toHexColor
+} from './annotationGeometry.js';
+import Annotation from '../models/Annotation.js';
+
+// Limits from the Annotation schema
+const MAX_TEXT_LENGTH = 1000;
+const MAX_REPLY_LENGTH = 500;
+
+// Annotation subtypes that are not review markup and are ignored silently
+const IGNORED_SUBTYPES = ['Popup', 'Link', 'Widget'];
+
+const getName = (dict, key) =>
+  dict.lookupMaybe(PDFName.of(key), PDFName)?.decodeText();
+
+const getText = (dict, key) =>
+  dict.lookupMaybe(PDFName.of(key), PDFString, PDFHexString)?.decodeText();
+
+const getNumber = (dict, key) =>
+  dict.lookupMaybe(PDFName.of(key), PDFNumber)?.asNumber();
+
+const toNumbers = (array) => array
+  .asArray()
+  .map((_, index) => array.lookup(index))
+  .filter(value => value instanceof PDFNumber)
+  .map(value => value.asNumber());
+
+const getNumbers = (dict, key) => {
+  const array = dict.lookupMaybe(PDFName.of(key), PDFArray);
+  return array ? toNumbers(array) : [];
+};
+
+// Annotation flag bit 5: the icon does not rotate with the page
+const NO_ROTATE = 1 << 4;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const truncate = (text, length) => (text && text.length > length ? text.slice(0, length) : text);
+
+const getStrokeWidth = (dict) => {
+  const borderStyle = dict.lookupMaybe(PDFName.of('BS'), PDFDict);
+  const width = borderStyle ? getNumber(borderStyle, 'W') : getNumbers(dict, 'Border')[2];
+  return clamp(Math.round(width ?? 2), 1, 10);
+};
+
+// Font size and colour from a FreeText default appearance string, e.g.
+// "/Helv 12 Tf 0 0 1 rg"
+export const parseDefaultAppearance = (appearance = '') => {
+  const size = appearance.match(/([\d.]+)\s+Tf/);
+  const rgb = appearance.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/);
+  const gray = appearance.match(/([\d.]+)\s+g(?:\s|$)/);
+
+  let color;
+  if (rgb) color = toHexColor(rgb.slice(1, 4).map(Number));
+  else if (gray) color = toHexColor([Number(gray[1])]);
+
+  return {
+    fontSize: size ? clamp(Math.round(Number(size[1])), 8, 72) : undefined,
+    color
+  };
+};
+
+const pairsToPoints = (box, numbers) => {
+  const points = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    points.push(fromPDFPoint(box, { x: numbers[i], y: numbers[i + 1] }));
+  }
+  return points;
+};
+
+// Union of all quadrilaterals of a text markup annotation
+const quadPointsRect = (box, quadPoints) => {
+  const xs = quadPoints.filter((_, i) => i % 2 === 0);
+  const ys = quadPoints.filter((_, i) => i % 2 === 1);
+  return fromPDFRect(box, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]);
+};
+
+const rectCoordinates = ({ x, y, width, height }) => ({ x, y, width, height });
+
+const baseStyle = (dict, defaultOpacity) => ({
+  color: toHexColor(getNumbers(dict, 'C')),
+  opacity: clamp(getNumber(dict, 'CA') ?? defaultOpacity, 0, 1)
+});
+
+// The border of squares and circles is drawn inside /Rect, so the shape
+// itself sits half a stroke in from the edge
+const shape = (type, dict, box) => {
+  const strokeWidth = getStrokeWidth(dict);
+  const [x1, y1, x2, y2] = getNumbers(dict, 'Rect');
+  const inset = Math.min(strokeWidth / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2);
+  const rect = fromPDFRect(box, [
+    Math.min(x1, x2) + inset,
+    Math.min(y1, y2) + inset,
+    Math.max(x1, x2) - inset,
+    Math.max(y1, y2) - inset
+  ]);
+
+  return {
+    type,
+    content: {
+      text: getText(dict, 'Contents'),
+      coordinates: rectCoordinates(rect),
+      style: { ...baseStyle(dict, 1), strokeWidth }
+    }
+  };
+};
+
+// Subtype -> one or more Annotation documents (without pdf/user)
+const converters = {
+  Highlight: (dict, box) => {
+    const quadPoints = getNumbers(dict, 'QuadPoints');
+    const rect = quadPoints.length >= 8
+      ? quadPointsRect(box, quadPoints)
+      : fromPDFRect(box, getNumbers(dict, 'Rect'));
+
+    return [{
+      type: 'highlight',
+      content: {
+        text: getText(dict, 'Contents'),
+        coordinates: rectCoordinates(rect),
+        style: baseStyle(dict, 0.5)
+      }
+    }];
+  },
+
+  Text: (dict, box) => {
+    const rect = (getNumber(dict, 'F') ?? 0) & NO_ROTATE
+      ? fromPDFIconRect(box, getNumbers(dict, 'Rect'))
+      : fromPDFRect(box, getNumbers(dict, 'Rect'));
+    return [{
+      type: 'text',
+      content: {
+        text: getText(dict, 'Contents'),
+        coordinates: rectCoordinates(rect),
+        style: baseStyle(dict, 1)
+      }
+    }];
+  },
+
+  FreeText: (dict, box) => {
+    const rect = fromPDFRect(box, getNumbers(dict, 'Rect'));
+    const { fontSize, color } = parseDefaultAppearance(getText(dict, 'DA'));
+    return [{
+      type: 'text',
+      content: {
+        text: getText(dict, 'Contents'),
+        coordinates: rectCoordinates(rect),
+        style: {
+          ...baseStyle(dict, 1),
+          ...(color && { color }),
+          ...(fontSize && { fontSize })
+        }
+      }
+    }];
+  },
+
+  Square: (dict, box) => [shape('rectangle', dict, box)],
+
+  Circle: (dict, box) => [shape('circle', dict, box)],
+
+  Line: (dict, box) => {
+    const points = pairsToPoints(box, getNumbers(dict, 'L'));
+    if (points.length < 2) return [];
+
+    const [start, end] = points;
+    return [{
+      type: 'arrow',
+      content: {
+        text: getText(dict, 'Contents'),
+        coordinates: { x: start.x, y: start.y },
+        bounds: { x1: start.x, y1: start.y, x2: end.x, y2: end.y },
+        points,
+        style: { ...baseStyle(dict, 1), strokeWidth: getStrokeWidth(dict) }
+      }
+    }];
+  },
+
+  // Every ink stroke becomes its own freehand annotation
+  Ink: (dict, box) => {
+    const inkList = dict.lookupMaybe(PDFName.of('InkList'), PDFArray);
+    if (!inkList) return [];
+
+    return inkList.asArray()
+      .map((_, index) => inkList.lookupMaybe(index, PDFArray))
+      .filter(Boolean)
+      .map(stroke => pairsToPoints(box, toNumbers(stroke)))
+      .filter(points => points.length > 0)
+      .map(points => ({
+        type: 'freehand',
+        content: {
+          text: getText(dict, 'Contents'),
+          coordinates: { x: points[0].x, y: points[0].y },
+          points,
+          style: { ...baseStyle(dict, 1), strokeWidth: getStrokeWidth(dict) }
+        }
+      }));
+  }
+};
+
+// Fit imported content to the Annotation schema limits
+export const cleanContent = (content) => {
+  const style = Object.fromEntries(
+    Object.entries(content.style || {}).filter(([, value]) => value !== undefined)
+  );
+  return {
+    ...content,
+    text: truncate(content.text, MAX_TEXT_LENGTH),
+    style
+  };
+};
+
+export const cleanReply = (text, originalAuthor) => ({
+  text: truncate(text, MAX_REPLY_LENGTH),
+  originalAuthor
+});
+
+// Build Annotation documents for imported entries, separating the ones that
+// fail schema validation so they can be reported instead of aborting the import
+export const prepareImportedAnnotations = (entries, fields) => {
+  const valid = [];
+  const invalid = [];
+
+  entries.forEach(entry => {
+    const annotation = new Annotation({
+      ...entry,
+      ...fields,
+      replies: (entry.replies || []).map(reply => ({ ...reply, user: fields.user }))
+    });
+
+    const error = annotation.validateSync();
+    if (error) {
+      invalid.push({ entry, reason: error.message });
+    } else {
+      valid.push(annotation);
+    }
+  });
+
+  return { valid, invalid };
+};
+
+// Read /Annots from every page and convert review markup into Annotation
+// data. Reply notes (/IRT) are attached to the annotation they answer.
+// Returns { annotations, skipped } where skipped lists entries we could not map.
+export const readEmbeddedAnnotations = (document) => {
+  const annotations = [];
+  const skipped = [];
+  const byRef = new Map();
+  const replies = [];
+
+  document.getPages().forEach((page, pageIndex) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+
+    const box = getPageBox(page);
+
+    for (let index = 0; index < annots.size(); index++) {
+      const ref = annots.get(index);
+      const dict = annots.lookupMaybe(index, PDFDict);
+      if (!dict) continue;
+
+      const subtype = getName(dict, 'Subtype');
+      if (!subtype || IGNORED_SUBTYPES.includes(subtype)) continue;
+
+      const author = getText(dict, 'T');
+      const inReplyTo = dict.get(PDFName.of('IRT'));
+
+      if (inReplyTo instanceof PDFRef) {
+        // Grouped annotations (RT /Group) duplicate their parent
+        if (getName(dict, 'RT') === 'Group') continue;
+        replies.push({ page: pageIndex + 1, box, dict, subtype, author, parent: inReplyTo.toString() });
+        continue;
+      }
+
+      const convert = converters[subtype];
+      if (!convert) {
+        skipped.push({ page: pageIndex + 1, subtype, reason: 'Unsupported annotation type' });
+        continue;
+      }
+
+      let converted;
+      try {
+        converted = convert(dict, box);
+      } catch (error) {
+        skipped.push({ page: pageIndex + 1, subtype, reason: 'Malformed annotation' });
+        continue;
+      }
+
+      if (converted.length === 0) {
+        skipped.push({ page: pageIndex + 1, subtype, reason: 'Annotation has no geometry' });
+        continue;
+      }
+
+      const entries = converted.map(data => ({
+        ...data,
+        content: cleanContent(data.content),
+        page: pageIndex + 1,
+        originalAuthor: author,
+        replies: []
+      }));
+
+      annotations.push(...entries);
+      if (ref instanceof PDFRef) byRef.set(ref.toString(), entries[0]);
+    }
+  });
+
+  replies.forEach(({ page, box, dict, subtype, author, parent }) => {
+    const text = getText(dict, 'Contents');
+    const target = byRef.get(parent);
+
+    if (target && text) {
+      target.replies.push(cleanReply(text, author));
+      return;
+    }
+
+    // The annotation being answered was not imported; keep the note on its own
+    if (subtype === 'Text') {
+      const [entry] = converters.Text(dict, box);
+      annotations.push({ ...entry, content: cleanContent(entry.content), page, originalAuthor: author, replies: [] });
+    } else {
+      skipped.push({ page, subtype, reason: 'Reply to an annotation that could not be imported' });
+    }
+  });
+
+  return { annotations, skipped };
+};
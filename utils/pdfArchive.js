@@ -0,0 +1,203 @@
+import path from 'path';
+import { ZipArchive } from 'archiver';
+import Annotation from '../models/Annotation.js';
+import Folder from '../models/Folder.js';
+import { getStorage } from '../storage/index.js';
+import { visibleAnnotationsQuery } from './pdfAccess.js';
+
+// Most documents one archive may contain
+export const ARCHIVE_LIMIT = 200;
+
+// Characters that are not safe in archive entry names on common systems
+const safeName = (name) => name
+  .replace(/[\u0000-\u001f<>:"/\\|?*]/g, '_')
+  .replace(/^[\s.]+|[\s.]+$/g, '')
+  .slice(0, 150) || 'untitled';
+
+// Folder path of every folder in the tree below (and including) `root`,
+// keyed by id. With no root, every folder of the user relative to the top level.
+export const buildFolderPaths = async (userId, root = null) => {
+  const query = root
+    ? { user: userId, $or: [{ _id: root._id }, { ancestors: root._id }] }
+    : { user: userId };
+  const folders = await Folder.find(query).select('name ancestors');
+  const byId = new Map(folders.map(folder => [folder._id.toString(), folder]));
+
+  const paths = new Map();
+  for (const folder of folders) {
+    const chain = [...folder.ancestors.map(id => id.toString()), folder._id.toString()];
+    const start = root ? chain.indexOf(root._id.toString()) : 0;
+    paths.set(
+      folder._id.toString(),
+      chain.slice(start).map(id => safeName(byId.get(id)?.name || 'folder')).join('/')
+    );
+  }
+  return paths;
+};
+
+const authorName = (entry) => entry.user?.name || entry.originalAuthor || 'Anonymous';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) : '');
+
+// Plain-text overview of a document and its annotations, for readers
+// without a PDF viewer
+const buildSummary = (pdf, annotations, { fileMissing }) => {
+  const lines = [
+    pdf.title,
+    '='.repeat(Math.min(pdf.title.length, 80)),
+    '',
+    `File: ${pdf.originalName}${fileMissing ? ' (not found on server, not included)' : ''}`,
+    `Version: ${pdf.currentVersion || 1}`,
+    `Pages: ${pdf.pageCount ?? 'unknown'}`
+  ];
+  if (pdf.description) lines.push(`Description: ${pdf.description}`);
+  if (pdf.tags?.length) lines.push(`Tags: ${pdf.tags.join(', ')}`);
+  lines.push(`Annotations: ${annotations.length}`, '');
+
+  for (const annotation of annotations) {
+    const status = [annotation.isResolved && 'resolved', annotation.isPrivate && 'private']
+      .filter(Boolean)
+      .join(', ');
+    lines.push(
+      `Page ${annotation.page} - ${annotation.type} by ${authorName(annotation)}, ` +
+      `${formatDate(annotation.createdAt)}${status ? ` (${status})` : ''}`
+    );
+    if (annotation.content?.text) lines.push(`  ${annotation.content.text.replace(/\n/g, '\n  ')}`);
+    if (annotation.tags?.length) lines.push(`  Tags: ${annotation.tags.join(', ')}`);
+    for (const reply of annotation.replies || []) {
+      lines.push(`  > ${authorName(reply)}, ${formatDate(reply.createdAt)}: ${reply.text.replace(/\n/g, '\n    ')}`);
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Entry names stay unique within the archive: "Report.pdf", "Report (2).pdf"
+const createNamer = () => {
+  const taken = new Set();
+  return (dir, base) => {
+    for (let n = 1; ; n++) {
+      const name = n === 1 ? base : `${base} (${n})`;
+      const prefix = dir ? `${dir}/${name}` : name;
+      if (!taken.has(prefix.toLowerCase())) {
+        taken.add(prefix.toLowerCase());
+        return prefix;
+      }
+    }
+  };
+};
+
+// Add an entry and wait until it has been written, so only one file is
+// read from storage at a time. Gives up when the download is cancelled.
+const appendEntry = async (archive, source, name, signal) => {
+  const written = new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onEntry = (entry) => {
+      if (entry.name !== name) return;
+      cleanup();
+      resolve();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onAbort = () => {
+      // Sources the archive has not drained yet are not closed by it
+      source.destroy?.();
+      onError(new Error('Download cancelled'));
+    };
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    signal.addEventListener('abort', onAbort);
+  });
+
+  // PDFs are compressed already
+  archive.append(source, { name, store: name.endsWith('.pdf') });
+  await written;
+};
+
+// Stream a ZIP of the documents to the response. Each document comes with
+// its annotations on the current revision as JSON and as a text summary,
+// filtered the same way as GET /api/annotations/pdf/:pdfId.
+//   entries: [{ pdf, access, dir }]
+export const streamPDFArchive = async (res, entries, { user, name }) => {
+  const archive = new ZipArchive({ zlib: { level: 6 } });
+  const cancelled = new AbortController();
+  const { signal } = cancelled;
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      cancelled.abort();
+      archive.abort();
+    }
+  });
+
+  // Failures are handled where entries are added; this keeps a late error
+  // from going unhandled
+  archive.on('error', () => {});
+
+  res.setHeader('Content-Type', 'application/zip');
+  const filename = `${safeName(name)}.zip`;
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+  );
+  res.status(200);
+  archive.pipe(res);
+
+  const storage = getStorage();
+  const entryName = createNamer();
+
+  try {
+    for (const { pdf, access, dir } of entries) {
+      if (signal.aborted) return;
+
+      const annotations = await Annotation.find({
+        pdf: pdf._id,
+        version: Annotation.versionFilter(pdf.currentVersion || 1),
+        ...visibleAnnotationsQuery(access, user)
+      })
+        .sort({ page: 1, createdAt: 1 })
+        .populate('user', 'name')
+        .populate('replies.user', 'name');
+
+      const base = entryName(dir, safeName(path.basename(pdf.originalName, path.extname(pdf.originalName))));
+      const fileMissing = !(await storage.exists(pdf.filename));
+
+      if (!fileMissing) {
+        await appendEntry(archive, await storage.createReadStream(pdf.filename), `${base}.pdf`, signal);
+      }
+
+      const data = {
+        id: pdf._id,
+        title: pdf.title,
+        description: pdf.description,
+        originalName: pdf.originalName,
+        version: pdf.currentVersion || 1,
+        pageCount: pdf.pageCount,
+        tags: pdf.tags,
+        fileIncluded: !fileMissing,
+        exportedAt: new Date(),
+        annotations: annotations.map(annotation => annotation.toJSON())
+      };
+      await appendEntry(archive, Buffer.from(JSON.stringify(data, null, 2)), `${base}.annotations.json`, signal);
+      await appendEntry(archive, Buffer.from(buildSummary(pdf, annotations, { fileMissing })), `${base}.summary.txt`, signal);
+    }
+
+    if (signal.aborted) return;
+    await archive.finalize();
+  } catch (error) {
+    // The headers are gone already, so the only way to report a failure is
+    // to cut the download short
+    if (!signal.aborted) {
+      console.error('Failed to stream PDF archive:', error);
+      archive.abort();
+      res.destroy(error);
+    }
+  }
+};
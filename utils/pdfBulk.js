@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import PDF from '../models/PDF.js';
+import { getPDFAccess } from './pdfAccess.js';
+import { isRootFolder, findUserFolder } from './folders.js';
+import { trashPDF } from './trash.js';
+
+export const BULK_ACTIONS = ['addTags', 'removeTags', 'setVisibility', 'move', 'delete'];
+
+// Most documents one bulk request may touch
+export const BULK_LIMIT = 500;
+
+// Filter for the user's own library, shared by GET /api/pdfs and bulk requests
+export const buildLibraryQuery = (userId, { search, tags } = {}) => {
+  const query = { user: userId };
+
+  if (search) {
+    query.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { tags: { $in: [new RegExp(search, 'i')] } }
+    ];
+  }
+
+  if (tags) {
+    query.tags = { $in: Array.isArray(tags) ? tags : tags.split(',') };
+  }
+
+  return query;
+};
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return null;
+  const cleaned = [...new Set(tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()))]
+    .filter(Boolean);
+  return cleaned.length > 0 ? cleaned : null;
+};
+
+// Check the action parameters once, before touching any document. Returns an
+// error message, or null when the request is usable.
+export const validateBulkAction = ({ action, tags, isPublic, folder }) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    return `Action must be one of: ${BULK_ACTIONS.join(', ')}`;
+  }
+  if ((action === 'addTags' || action === 'removeTags') && !normalizeTags(tags)) {
+    return 'Please provide an array of tags';
+  }
+  if (action === 'setVisibility' && typeof isPublic !== 'boolean') {
+    return 'Please provide isPublic as true or false';
+  }
+  if (action === 'move' && folder === undefined) {
+    return 'Please provide a destination folder (null or "root" for the top level)';
+  }
+  return null;
+};
+
+const failure = (id, status, message) => ({ id, success: false, status, message });
+
+// Apply one bulk action to each document in turn. Every document gets the
+// same access checks as the single-document routes, and one failing document
+// does not stop the others.
+export const applyBulkAction = async (ids, params, user) => {
+  const { action } = params;
+  const tags = normalizeTags(params.tags);
+
+  // Documents can belong to different owners (shared editors, admins), and
+  // the destination folder has to belong to each document's owner
+  const folderByOwner = new Map();
+  const resolveFolder = async (ownerId) => {
+    if (isRootFolder(params.folder)) return null;
+    const key = ownerId.toString();
+    if (!folderByOwner.has(key)) {
+      folderByOwner.set(key, await findUserFolder(params.folder, ownerId));
+    }
+    return folderByOwner.get(key) || undefined;
+  };
+
+  const results = [];
+
+  for (const id of ids) {
+    try {
+      if (!mongoose.isValidObjectId(id)) {
+        results.push(failure(id, 404, 'PDF not found'));
+        continue;
+      }
+
+      const pdf = await PDF.findById(id);
+      if (!pdf) {
+        results.push(failure(id, 404, 'PDF not found'));
+        continue;
+      }
+
+      // Tags are details editors may change; the rest stays with the owner
+      const access = await getPDFAccess(pdf, user);
+      const allowed = action === 'addTags' || action === 'removeTags' ? access.canEdit : access.canManage;
+      if (!allowed) {
+        results.push(failure(id, 403, 'Not authorized to change this PDF'));
+        continue;
+      }
+
+      switch (action) {
+        case 'addTags':
+          await PDF.updateOne({ _id: pdf._id }, { $addToSet: { tags: { $each: tags } } }, { runValidators: true });
+          break;
+        case 'removeTags':
+          await PDF.updateOne({ _id: pdf._id }, { $pull: { tags: { $in: tags } } });
+          break;
+        case 'setVisibility':
+          await PDF.updateOne({ _id: pdf._id }, { isPublic: params.isPublic });
+          break;
+        case 'move': {
+          const target = await resolveFolder(pdf.user);
+          if (target === undefined) {
+            results.push(failure(id, 404, 'Folder not found'));
+            continue;
+          }
+          await PDF.updateOne({ _id: pdf._id }, { folder: target?._id || null });
+          break;
+        }
+        case 'delete':
+          await trashPDF(pdf, user.id);
+          break;
+      }
+
+      results.push({ id, success: true });
+    } catch (error) {
+      console.error(`Bulk ${action} failed for PDF ${id}:`, error);
+      results.push(failure(id, error.name === 'ValidationError' ? 400 : 500, error.message));
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,445 @@
+import {
+  PDFDocument,
+  PDFName,
+  PDFString,
+  PDFHexString,
+  StandardFonts,
+  LineCapStyle,
+  LineJoinStyle,
+  breakTextIntoLines,
+  pushGraphicsState,
+  popGraphicsState,
+  setGraphicsState,
+  setLineWidth,
+  setLineCap,
+  setLineJoin,
+  setStrokingRgbColor,
+  setFillingRgbColor,
+  moveTo,
+  lineTo,
+  rectangle,
+  stroke,
+  fill,
+  drawEllipsePath,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextMatrix,
+  moveText,
+  showText
+} from 'pdf-lib';
+import {
+  getPageBox,
+  toPDFPoint,
+  toPDFRect,
+  fromPDFRect,
+  toPDFQuad,
+  toPDFIconRect,
+  getViewerRect,
+  expandRect,
+  parseHexColor
+} from './annotationGeometry.js';
+
+export const EXPORT_MODES = ['editable', 'flattened'];
+
+const ARROW_HEAD_LENGTH = 10;
+const ARROW_HEAD_ANGLE = Math.PI / 6;
+const TEXT_PADDING = 4;
+const NOTE_SIZE = 20;
+
+// Defaults match the Annotation schema
+const styleOf = (annotation) => {
+  const style = annotation.content?.style || {};
+  return {
+    color: parseHexColor(style.color || '#FFFF00'),
+    opacity: style.opacity ?? 0.5,
+    strokeWidth: style.strokeWidth ?? 2,
+    fontSize: style.fontSize ?? 14
+  };
+};
+
+const colorArray = ({ r, g, b }) => [r, g, b];
+
+// Account name, else the name recorded for imported or guest content
+const authorName = (item) => item.user?.name || item.originalAuthor || 'Anonymous';
+
+const boundsOf = (points, padding) => {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return expandRect(
+    [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+    padding
+  );
+};
+
+// Keep only characters the standard Helvetica font can encode
+const sanitizeText = (font, text) => {
+  const supported = new Set(font.getCharacterSet());
+  return [...(text || '')]
+    .map(char => (char === '\n' || supported.has(char.codePointAt(0)) ? char : '?'))
+    .join('');
+};
+
+const strokeSetup = ({ color, strokeWidth }) => [
+  setLineWidth(strokeWidth),
+  setLineCap(LineCapStyle.Round),
+  setLineJoin(LineJoinStyle.Round),
+  setStrokingRgbColor(color.r, color.g, color.b)
+];
+
+// Each renderer returns the PDF-space rect, the drawing operators (used for
+// both the appearance stream and flattening) and the annotation dictionary
+// entries specific to its subtype.
+const renderers = {
+  highlight: (annotation, box, resources) => {
+    const { color, opacity } = styleOf(annotation);
+    const viewerRect = getViewerRect(annotation.content);
+    const rect = toPDFRect(box, viewerRect);
+    const [llx, lly, urx, ury] = rect;
+
+    return {
+      rect,
+      ops: [
+        setGraphicsState(resources.graphicsState(opacity, 'Multiply')),
+        setFillingRgbColor(color.r, color.g, color.b),
+        rectangle(llx, lly, urx - llx, ury - lly),
+        fill()
+      ],
+      dict: {
+        Subtype: 'Highlight',
+        C: colorArray(color),
+        QuadPoints: toPDFQuad(box, viewerRect)
+      }
+    };
+  },
+
+  rectangle: (annotation, box, resources) => {
+    const style = styleOf(annotation);
+    const inner = toPDFRect(box, getViewerRect(annotation.content));
+    const [llx, lly, urx, ury] = inner;
+
+    return {
+      rect: expandRect(inner, style.strokeWidth / 2),
+      ops: [
+        setGraphicsState(resources.graphicsState(style.opacity)),
+        ...strokeSetup(style),
+        rectangle(llx, lly, urx - llx, ury - lly),
+        stroke()
+      ],
+      dict: {
+        Subtype: 'Square',
+        C: colorArray(style.color),
+        BS: { W: style.strokeWidth, S: 'S' }
+      }
+    };
+  },
+
+  circle: (annotation, box, resources) => {
+    const style = styleOf(annotation);
+    const inner = toPDFRect(box, getViewerRect(annotation.content));
+    const [llx, lly, urx, ury] = inner;
+
+    return {
+      rect: expandRect(inner, style.strokeWidth / 2),
+      ops: [
+        setGraphicsState(resources.graphicsState(style.opacity)),
+        ...strokeSetup(style),
+        ...drawEllipsePath({
+          x: (llx + urx) / 2,
+          y: (lly + ury) / 2,
+          xScale: (urx - llx) / 2,
+          yScale: (ury - lly) / 2
+        }),
+        stroke()
+      ],
+      dict: {
+        Subtype: 'Circle',
+        C: colorArray(style.color),
+        BS: { W: style.strokeWidth, S: 'S' }
+      }
+    };
+  },
+
+  arrow: (annotation, box, resources) => {
+    const style = styleOf(annotation);
+    const { points = [], bounds, coordinates = {} } = annotation.content;
+
+    let start;
+    let end;
+    if (points.length >= 2) {
+      start = points[0];
+      end = points[points.length - 1];
+    } else if (bounds && typeof bounds.x2 === 'number') {
+      start = { x: bounds.x1, y: bounds.y1 };
+      end = { x: bounds.x2, y: bounds.y2 };
+    } else {
+      start = { x: coordinates.x, y: coordinates.y };
+      end = { x: coordinates.x + (coordinates.width || 0), y: coordinates.y + (coordinates.height || 0) };
+    }
+
+    start = toPDFPoint(box, start);
+    end = toPDFPoint(box, end);
+
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const head = [angle + ARROW_HEAD_ANGLE, angle - ARROW_HEAD_ANGLE].map(a => ({
+      x: end.x - ARROW_HEAD_LENGTH * Math.cos(a),
+      y: end.y - ARROW_HEAD_LENGTH * Math.sin(a)
+    }));
+
+    return {
+      rect: boundsOf([start, end, ...head], style.strokeWidth),
+      ops: [
+        setGraphicsState(resources.graphicsState(style.opacity)),
+        ...strokeSetup(style),
+        moveTo(start.x, start.y),
+        lineTo(end.x, end.y),
+        moveTo(head[0].x, head[0].y),
+        lineTo(end.x, end.y),
+        lineTo(head[1].x, head[1].y),
+        stroke()
+      ],
+      dict: {
+        Subtype: 'Line',
+        C: colorArray(style.color),
+        L: [start.x, start.y, end.x, end.y],
+        LE: ['None', 'OpenArrow'],
+        BS: { W: style.strokeWidth, S: 'S' }
+      }
+    };
+  },
+
+  freehand: (annotation, box, resources) => {
+    const style = styleOf(annotation);
+    const points = (annotation.content.points || []).map(p => toPDFPoint(box, p));
+    if (points.length === 0) return null;
+
+    const [first, ...rest] = points;
+
+    return {
+      rect: boundsOf(points, style.strokeWidth),
+      ops: [
+        setGraphicsState(resources.graphicsState(style.opacity)),
+        ...strokeSetup(style),
+        moveTo(first.x, first.y),
+        ...(rest.length ? rest : [first]).map(p => lineTo(p.x, p.y)),
+        stroke()
+      ],
+      dict: {
+        Subtype: 'Ink',
+        C: colorArray(style.color),
+        InkList: [points.flatMap(p => [p.x, p.y])],
+        BS: { W: style.strokeWidth, S: 'S' }
+      }
+    };
+  },
+
+  text: (annotation, box, resources) => {
+    const { color, opacity, fontSize } = styleOf(annotation);
+    const { font, name: fontName } = resources.font();
+    const text = sanitizeText(font, annotation.content.text);
+    const lineHeight = font.heightAtSize(fontSize);
+    const viewerRect = getViewerRect(annotation.content);
+    const boxWidth = viewerRect.width || annotation.content.coordinates?.width || 0;
+    const measure = line => font.widthOfTextAtSize(line, fontSize);
+
+    // Wrap to the stored box width, or size the box to the text
+    const maxWidth = boxWidth > TEXT_PADDING * 2
+      ? boxWidth - TEXT_PADDING * 2
+      : Infinity;
+    const lines = text
+      .split('\n')
+      .flatMap(paragraph => (maxWidth === Infinity
+        ? [paragraph]
+        : breakTextIntoLines(paragraph, [' '], maxWidth, measure)));
+
+    const width = boxWidth ||
+      Math.max(0, ...lines.map(measure)) + TEXT_PADDING * 2;
+    const height = Math.max(viewerRect.height, lines.length * lineHeight + TEXT_PADDING * 2);
+    const rect = toPDFRect(box, { x: viewerRect.x, y: viewerRect.y, width, height });
+
+    // Text runs left to right as displayed: on a rotated page the text
+    // matrix turns it with the page, counter-clockwise in PDF space
+    const angle = (box.rotation || 0) * Math.PI / 180;
+    const [cos, sin] = [Math.round(Math.cos(angle)), Math.round(Math.sin(angle))];
+    const origin = toPDFPoint(box, {
+      x: viewerRect.x + TEXT_PADDING,
+      y: viewerRect.y + TEXT_PADDING + fontSize
+    });
+
+    return {
+      rect,
+      ops: [
+        setGraphicsState(resources.graphicsState(opacity)),
+        beginText(),
+        setFontAndSize(fontName, fontSize),
+        setFillingRgbColor(color.r, color.g, color.b),
+        setTextMatrix(cos, sin, -sin, cos, origin.x, origin.y),
+        ...lines.flatMap((line, index) => [
+          ...(index > 0 ? [moveText(0, -lineHeight)] : []),
+          showText(font.encodeText(line))
+        ]),
+        endText()
+      ],
+      dict: {
+        Subtype: 'FreeText',
+        DA: PDFString.of(`/Helv ${fontSize} Tf ${color.r} ${color.g} ${color.b} rg`),
+        ...(box.rotation && { Rotate: box.rotation })
+      }
+    };
+  }
+};
+
+// Resource registration for flattening: names are added to the page itself
+const pageResources = (document, page, font) => {
+  let fontName;
+  return {
+    graphicsState: (opacity, blendMode) => {
+      const state = document.context.obj({
+        Type: 'ExtGState',
+        CA: opacity,
+        ca: opacity,
+        ...(blendMode && { BM: blendMode })
+      });
+      return page.node.newExtGState('GS', document.context.register(state));
+    },
+    font: () => {
+      if (!fontName) fontName = page.node.newFontDictionary('Helv', font.ref);
+      return { font, name: fontName };
+    }
+  };
+};
+
+// Resource registration for an appearance stream's own resource dictionary
+const appearanceResources = (document, font) => {
+  const extGStates = {};
+  const fonts = {};
+  return {
+    graphicsState: (opacity, blendMode) => {
+      const name = `GS${Object.keys(extGStates).length}`;
+      extGStates[name] = {
+        Type: 'ExtGState',
+        CA: opacity,
+        ca: opacity,
+        ...(blendMode && { BM: blendMode })
+      };
+      return PDFName.of(name);
+    },
+    font: () => {
+      fonts.Helv = font.ref;
+      return { font, name: PDFName.of('Helv') };
+    },
+    toDict: () => ({
+      ...(Object.keys(extGStates).length && { ExtGState: extGStates }),
+      ...(Object.keys(fonts).length && { Font: fonts })
+    })
+  };
+};
+
+// Standard markup entries shared by every annotation we write
+const markupEntries = (annotation, text) => ({
+  Type: 'Annot',
+  F: 4,
+  NM: PDFString.of(annotation._id.toString()),
+  T: PDFHexString.fromText(authorName(annotation)),
+  Contents: PDFHexString.fromText(text || ''),
+  CreationDate: PDFString.fromDate(new Date(annotation.createdAt || Date.now())),
+  M: PDFString.fromDate(new Date(annotation.updatedAt || annotation.createdAt || Date.now()))
+});
+
+// Popup window for the parent annotation plus one sticky note per reply,
+// threaded to the parent with /IRT. Both sit to the right of the parent as
+// displayed and do not rotate with the page.
+const addCommentThread = (document, page, box, annotation, parentRef, rect, color) => {
+  const { context } = document;
+  const parent = fromPDFRect(box, rect);
+  const right = parent.x + parent.width;
+
+  const popupRef = context.register(context.obj({
+    Type: 'Annot',
+    Subtype: 'Popup',
+    Rect: toPDFIconRect(box, { x: right, y: parent.y, width: 200, height: 100 }),
+    Parent: parentRef,
+    Open: false,
+    F: 28
+  }));
+  context.lookup(parentRef).set(PDFName.of('Popup'), popupRef);
+  page.node.addAnnot(popupRef);
+
+  (annotation.replies || []).forEach((reply, index) => {
+    const noteRect = toPDFIconRect(box, {
+      x: right,
+      y: parent.y + NOTE_SIZE * index,
+      width: NOTE_SIZE,
+      height: NOTE_SIZE
+    });
+    const replyRef = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Text',
+      Rect: noteRect,
+      F: 28,
+      NM: PDFString.of(reply._id ? reply._id.toString() : `${annotation._id}-${index}`),
+      T: PDFHexString.fromText(authorName(reply)),
+      Contents: PDFHexString.fromText(reply.text || ''),
+      CreationDate: PDFString.fromDate(new Date(reply.createdAt || Date.now())),
+      M: PDFString.fromDate(new Date(reply.createdAt || Date.now())),
+      C: colorArray(color),
+      Name: 'Comment',
+      Open: false,
+      IRT: parentRef,
+      RT: 'R'
+    }));
+    page.node.addAnnot(replyRef);
+  });
+};
+
+// Write annotations into the PDF. "editable" adds standard annotation objects
+// with appearance streams; "flattened" draws them into the page content.
+export const exportAnnotatedPDF = async (bytes, annotations, { mode = 'editable' } = {}) => {
+  const document = await PDFDocument.load(bytes, { updateMetadata: false });
+  const font = await document.embedFont(StandardFonts.Helvetica);
+  const pages = document.getPages();
+  const flattenResources = new Map();
+
+  for (const annotation of annotations) {
+    const page = pages[annotation.page - 1];
+    const render = renderers[annotation.type];
+    if (!page || !render) continue;
+
+    const box = getPageBox(page);
+
+    if (mode === 'flattened') {
+      if (!flattenResources.has(page)) {
+        flattenResources.set(page, pageResources(document, page, font));
+      }
+      const shape = render(annotation, box, flattenResources.get(page));
+      if (!shape) continue;
+      page.pushOperators(pushGraphicsState(), ...shape.ops, popGraphicsState());
+      continue;
+    }
+
+    const resources = appearanceResources(document, font);
+    const shape = render(annotation, box, resources);
+    if (!shape) continue;
+
+    const appearance = document.context.formXObject(shape.ops, {
+      BBox: shape.rect,
+      Resources: resources.toDict()
+    });
+
+    const { opacity, color } = styleOf(annotation);
+    const annotationRef = document.context.register(document.context.obj({
+      ...markupEntries(annotation, annotation.content.text),
+      ...shape.dict,
+      Rect: shape.rect,
+      CA: opacity,
+      AP: { N: document.context.register(appearance) }
+    }));
+    page.node.addAnnot(annotationRef);
+
+    if (annotation.content.text || annotation.replies?.length) {
+      addCommentThread(document, page, box, annotation, annotationRef, shape.rect, color);
+    }
+  }
+
+  return document.save();
+};
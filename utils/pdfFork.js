@@ -0,0 +1,83 @@
+import PDF from '../models/PDF.js';
+import Annotation from '../models/Annotation.js';
+import { copyVersionFile, releaseFile } from './fileStore.js';
+import { queuePDFProcessing } from './pdfProcessor.js';
+import { copyAnnotation } from './annotationCopies.js';
+import { checkUploadQuota, checkAnnotationQuota } from './quotas.js';
+
+// Non-private annotations on the source's current revision, oldest first
+const publicAnnotations = (source) => Annotation.find({
+  pdf: source._id,
+  version: Annotation.versionFilter(source.currentVersion || 1),
+  isPrivate: false
+})
+  .sort({ createdAt: 1 })
+  .populate('user', 'name')
+  .lean();
+
+// Copy the current revision of a public PDF into the user's library. The
+// file itself is shared with the source. Resolves to { pdf, annotations }
+// or { failure: { status, message } }.
+export const forkPDF = async (source, user, { includeAnnotations, title, folder, isPublic }) => {
+  const entry = source.getVersion(source.currentVersion || 1);
+  const annotations = includeAnnotations ? await publicAnnotations(source) : [];
+
+  const failure = await checkUploadQuota(user, { bytes: entry.fileSize }) ||
+    (annotations.length > 0 && await checkAnnotationQuota(user, annotations.length));
+  if (failure) return { failure };
+
+  const stored = await copyVersionFile(entry);
+
+  let pdf;
+  try {
+    pdf = await PDF.create({
+      title: title || source.title,
+      description: source.description,
+      filename: stored.filename,
+      originalName: entry.originalName,
+      fileSize: stored.size,
+      fileHash: stored.hash,
+      validation: entry.validation,
+      mimeType: source.mimeType,
+      user: user._id,
+      isPublic,
+      folder: folder?._id || null,
+      tags: source.tags,
+      status: 'processing',
+      currentVersion: 1,
+      versions: [{
+        version: 1,
+        filename: stored.filename,
+        originalName: entry.originalName,
+        fileSize: stored.size,
+        fileHash: stored.hash,
+        validation: entry.validation,
+        uploadedBy: user._id
+      }],
+      forkedFrom: {
+        pdf: source._id,
+        version: entry.version,
+        forkedAt: new Date()
+      }
+    });
+  } catch (error) {
+    await releaseFile(stored.hash);
+    throw error;
+  }
+
+  const copies = annotations.length
+    ? await Annotation.insertMany(annotations.map(annotation => ({
+      ...copyAnnotation(annotation, user),
+      pdf: pdf._id,
+      version: 1
+    })))
+    : [];
+
+  await PDF.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+  source.forkCount += 1;
+
+  // Page text for search is extracted again for the copy
+  queuePDFProcessing(pdf._id, { importAnnotations: false });
+
+  return { pdf, annotations: copies.length };
+};
@@ -0,0 +1,104 @@
+import PDF from '../models/PDF.js';
+import { queuePDFProcessing } from './pdfProcessor.js';
+import { storeFile, releaseFile } from './fileStore.js';
+import { isRootFolder, findUserFolder } from './folders.js';
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Normalize the optional fields sent alongside an upload (multipart form
+// fields or resumable upload metadata)
+export const parseUploadFields = ({ title, description, tags, isPublic, importAnnotations, folder } = {}) => {
+  let parsedTags = [];
+  if (tags) {
+    try {
+      parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
+    } catch (error) {
+      parsedTags = [];
+    }
+  }
+
+  return {
+    title,
+    description,
+    tags: Array.isArray(parsedTags) ? parsedTags : [],
+    isPublic: isPublic || 'true',
+    importAnnotations: isTrue(importAnnotations),
+    folder: isRootFolder(folder ?? null) ? null : folder
+  };
+};
+
+// Move an uploaded file into storage, create its PDF record and queue it for
+// processing. `file` follows multer's shape (originalname, path, mimetype);
+// `validation` is the result of validateUpload for the file.
+// Resolves to { pdf, duplicates } where duplicates are the user's other PDFs
+// that already contain identical bytes.
+export const createPDFFromFile = async (file, userId, fields, validation) => {
+  // The folder may have been deleted while a resumable upload was running
+  const folder = fields.folder ? await findUserFolder(fields.folder, userId) : null;
+  const stored = await storeFile(file.path);
+
+  const existing = await PDF.find({
+    user: userId,
+    'versions.fileHash': stored.hash
+  }).select('title versions.version versions.fileHash');
+
+  const duplicates = existing.map(match => ({
+    id: match._id,
+    title: match.title,
+    versions: match.versions
+      .filter(entry => entry.fileHash === stored.hash)
+      .map(entry => entry.version)
+  }));
+
+  let pdf;
+  try {
+    pdf = await PDF.create({
+      title: fields.title || file.originalname,
+      description: fields.description || '',
+      filename: stored.filename,
+      originalName: file.originalname,
+      fileSize: stored.size,
+      fileHash: stored.hash,
+      validation,
+      mimeType: file.mimetype,
+      user: userId,
+      isPublic: fields.isPublic,
+      folder: folder?._id || null,
+      tags: fields.tags,
+      status: 'processing',
+      currentVersion: 1,
+      versions: [{
+        version: 1,
+        filename: stored.filename,
+        originalName: file.originalname,
+        fileSize: stored.size,
+        fileHash: stored.hash,
+        validation,
+        uploadedBy: userId
+      }]
+    });
+  } catch (error) {
+    await releaseFile(stored.hash);
+    throw error;
+  }
+
+  // Page count and metadata are filled in once the file has been parsed
+  queuePDFProcessing(pdf._id, { importAnnotations: fields.importAnnotations });
+
+  return { pdf, duplicates };
+};
+
+export const formatUploadedPDF = (pdf) => ({
+  id: pdf._id,
+  title: pdf.title,
+  description: pdf.description,
+  filename: pdf.filename,
+  originalName: pdf.originalName,
+  fileSize: pdf.fileSize,
+  isPublic: pdf.isPublic,
+  folder: pdf.folder,
+  tags: pdf.tags,
+  status: pdf.status,
+  validation: pdf.validation,
+  createdAt: pdf.createdAt
+});
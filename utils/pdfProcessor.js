@@ -0,0 +1,157 @@
+import { PDFDocument } from 'pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import PDF from '../models/PDF.js';
+import PDFPage from '../models/PDFPage.js';
+import Annotation from '../models/Annotation.js';
+import User from '../models/User.js';
+import { readEmbeddedAnnotations, prepareImportedAnnotations } from './pdfAnnotationImport.js';
+import { purgeAnnotations } from './annotationHistory.js';
+import { checkAnnotationQuota } from './quotas.js';
+import { getStorage } from '../storage/index.js';
+
+// Split a PDF keywords string ("a, b; c") into a clean array
+const parseKeywords = (keywords) => {
+  if (!keywords) return [];
+  return keywords
+    .split(/[,;]/)
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+};
+
+// Step: page count and document information dictionary
+const extractMetadata = async ({ document }) => ({
+  pageCount: document.getPageCount(),
+  metadata: {
+    author: document.getAuthor(),
+    subject: document.getSubject(),
+    creator: document.getCreator(),
+    producer: document.getProducer(),
+    creationDate: document.getCreationDate(),
+    modificationDate: document.getModificationDate(),
+    keywords: parseKeywords(document.getKeywords())
+  }
+});
+
+// Step: per-page text for full-text search
+const extractText = async ({ pdf, bytes }) => {
+  // pdf.js takes ownership of the buffer it is given, so hand it a copy
+  const document = await getDocument({
+    data: new Uint8Array(bytes),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => `${item.str || ''}${item.hasEOL ? '\n' : ''}`)
+        .join('')
+        .trim();
+
+      pages.push({ pdf: pdf._id, page: number, text });
+      page.cleanup();
+    }
+
+    await PDFPage.deleteMany({ pdf: pdf._id });
+    if (pages.length) await PDFPage.insertMany(pages);
+  } finally {
+    await document.destroy();
+  }
+};
+
+// Step: opt-in import of annotations already embedded in the file,
+// attributed to the uploader of the current revision
+const importEmbeddedAnnotations = async ({ pdf, document, options }) => {
+  if (!options.importAnnotations) return null;
+
+  const { annotations, skipped } = readEmbeddedAnnotations(document);
+  const version = pdf.currentVersion;
+  const uploader = pdf.getVersion(version)?.uploadedBy || pdf.user;
+
+  const { valid, invalid } = prepareImportedAnnotations(annotations, {
+    pdf: pdf._id,
+    user: uploader,
+    version,
+    source: 'pdf'
+  });
+  invalid.forEach(({ entry, reason }) => {
+    skipped.push({ page: entry.page, subtype: entry.type, reason });
+  });
+
+  // Importing the same revision again replaces the earlier import, so the
+  // annotations it replaces do not count against the uploader's quota
+  const previous = { pdf: pdf._id, version, source: 'pdf' };
+  const replaced = await Annotation.countDocuments({ ...previous, user: uploader })
+    .setOptions({ withDeleted: true });
+  const user = valid.length > replaced && await User.findById(uploader);
+  const overQuota = user && await checkAnnotationQuota(user, valid.length - replaced);
+
+  if (overQuota) {
+    // Nothing is imported and an earlier import is left as it was
+    valid.forEach(annotation => {
+      skipped.push({ page: annotation.page, subtype: annotation.type, reason: overQuota.message });
+    });
+  } else {
+    await purgeAnnotations(previous);
+    if (valid.length) await Annotation.insertMany(valid);
+  }
+
+  return {
+    annotationImport: {
+      imported: overQuota ? 0 : valid.length,
+      skipped,
+      importedAt: new Date()
+    }
+  };
+};
+
+// Steps run in order; each returns the fields it wants set on the PDF
+const steps = [extractMetadata, extractText, importEmbeddedAnnotations];
+
+// Parse the stored file and move the PDF from processing to ready/error.
+// Options: importAnnotations - also import annotations embedded in the file
+export const processPDF = async (pdfId, options = {}) => {
+  const pdf = await PDF.findById(pdfId);
+  if (!pdf) return null;
+
+  try {
+    const bytes = await getStorage().readFile(pdf.filename);
+    const document = await PDFDocument.load(bytes, {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+
+    const context = { pdf, bytes, document, options };
+    for (const step of steps) {
+      const fields = await step(context);
+      if (fields) pdf.set(fields);
+    }
+
+    const current = pdf.versions.find(v => v.version === pdf.currentVersion);
+    if (current) current.pageCount = pdf.pageCount;
+
+    pdf.status = 'ready';
+    pdf.processingError = null;
+  } catch (error) {
+    pdf.status = 'error';
+    pdf.processingError = error.message || 'Unable to parse PDF file';
+  }
+
+  pdf.processedAt = new Date();
+  await pdf.save();
+
+  return pdf;
+};
+
+// Run processing after the current request has been answered
+export const queuePDFProcessing = (pdfId, options) => {
+  setImmediate(() => {
+    processPDF(pdfId, options).catch((err) => {
+      console.error('PDF processing failed:', err);
+    });
+  });
+};
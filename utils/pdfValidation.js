@@ -0,0 +1,143 @@
+import fs from 'fs';
+import { PDFDocument, PDFDict, PDFArray, PDFName, PDFStream } from 'pdf-lib';
+import UploadPolicy from '../models/UploadPolicy.js';
+
+// Readers accept the header anywhere in the first KB, and look for the
+// startxref pointer near the end of the file
+const HEADER_WINDOW = 1024;
+const TRAILER_WINDOW = 2048;
+
+// Findings the upload policy decides about, keyed by policy field
+const FINDINGS = {
+  encrypted: 'The PDF is password protected',
+  javascript: 'The PDF contains JavaScript',
+  launchActions: 'The PDF contains launch actions that can open other programs',
+  embeddedFiles: 'The PDF contains embedded files',
+  damagedStructure: 'The PDF cross-reference table is missing or damaged'
+};
+
+const NAME = {
+  S: PDFName.of('S'),
+  JS: PDFName.of('JS'),
+  JavaScript: PDFName.of('JavaScript'),
+  Launch: PDFName.of('Launch'),
+  Type: PDFName.of('Type'),
+  EmbeddedFile: PDFName.of('EmbeddedFile'),
+  EmbeddedFiles: PDFName.of('EmbeddedFiles'),
+  EF: PDFName.of('EF')
+};
+
+// startxref must point at a classic xref table or an xref stream object.
+// Some producers count offsets from the header rather than the file start.
+const hasValidXref = (bytes, headerOffset) => {
+  const tail = bytes.subarray(Math.max(0, bytes.length - TRAILER_WINDOW)).toString('latin1');
+  const pointer = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+  if (!pointer) return false;
+
+  const offset = Number(pointer[1]);
+  return [offset, offset + headerOffset].some(start =>
+    start < bytes.length &&
+    /^\s*(xref|\d+\s+\d+\s+obj)/.test(bytes.subarray(start, start + 32).toString('latin1')));
+};
+
+// Look through every object, including dictionaries nested directly inside
+// others (actions are often inline in annotations and catalogs)
+const scanActiveContent = (document) => {
+  const found = { javascript: false, launchActions: false, embeddedFiles: false };
+  const seen = new Set();
+
+  const visit = (object) => {
+    if (object instanceof PDFStream) object = object.dict;
+    if (object instanceof PDFArray) {
+      object.asArray().forEach(visit);
+      return;
+    }
+    if (!(object instanceof PDFDict) || seen.has(object)) return;
+    seen.add(object);
+
+    const subtype = object.get(NAME.S);
+    if (subtype === NAME.JavaScript || object.has(NAME.JS)) found.javascript = true;
+    if (subtype === NAME.Launch) found.launchActions = true;
+    if (object.get(NAME.Type) === NAME.EmbeddedFile || object.has(NAME.EF) ||
+        object.has(NAME.EmbeddedFiles)) {
+      found.embeddedFiles = true;
+    }
+    // The document-level JavaScript name tree
+    if (object.has(NAME.JavaScript)) found.javascript = true;
+
+    object.values().forEach(visit);
+  };
+
+  document.context.enumerateIndirectObjects().forEach(([, object]) => visit(object));
+  return found;
+};
+
+// Inspect file content without trusting the client's MIME type. Resolves to
+// { error } when the file is not a usable PDF, otherwise to the check results.
+export const inspectPDF = async (filePath) => {
+  const bytes = await fs.promises.readFile(filePath);
+
+  const headerOffset = bytes.subarray(0, HEADER_WINDOW).indexOf('%PDF-');
+  if (headerOffset === -1) return { error: 'File is not a PDF document' };
+
+  let document;
+  try {
+    document = await PDFDocument.load(bytes, {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+    // pdf-lib recovers from a lot; a document without pages is not usable
+    if (document.getPageCount() === 0) throw new Error('No pages');
+  } catch (error) {
+    return { error: 'PDF document structure could not be parsed' };
+  }
+
+  return {
+    encrypted: document.isEncrypted,
+    validXref: hasValidXref(bytes, headerOffset),
+    // Contents of encrypted files cannot be read, so only their
+    // unencrypted structure is scanned
+    ...scanActiveContent(document)
+  };
+};
+
+// Check an uploaded file against the admin upload policy. Resolves to
+// { rejectReason } when the upload must be refused, otherwise to
+// { validation } to be recorded on the PDF revision.
+export const validateUpload = async (filePath) => {
+  const report = await inspectPDF(filePath);
+  if (report.error) return { rejectReason: report.error };
+
+  const policy = await UploadPolicy.getPolicy();
+  const present = {
+    encrypted: report.encrypted,
+    javascript: report.javascript,
+    launchActions: report.launchActions,
+    embeddedFiles: report.embeddedFiles,
+    damagedStructure: !report.validXref
+  };
+
+  const findings = Object.keys(FINDINGS)
+    .filter(code => present[code])
+    .map(code => ({ code, message: FINDINGS[code], action: policy[code] }));
+
+  const rejected = findings.filter(finding => finding.action === 'reject');
+  if (rejected.length > 0) {
+    return {
+      rejectReason: `Upload rejected: ${rejected.map(finding => finding.message).join('; ')}`
+    };
+  }
+
+  return {
+    validation: {
+      status: findings.some(finding => finding.action === 'flag') ? 'flagged' : 'clean',
+      encrypted: report.encrypted,
+      hasJavaScript: report.javascript,
+      hasLaunchActions: report.launchActions,
+      hasEmbeddedFiles: report.embeddedFiles,
+      validXref: report.validXref,
+      findings,
+      checkedAt: new Date()
+    }
+  };
+};
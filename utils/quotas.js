@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import PDF from '../models/PDF.js';
+import Annotation from '../models/Annotation.js';
+
+export const QUOTA_FIELDS = ['maxBytes', 'maxDocuments', 'maxAnnotations'];
+
+const GB = 1024 * 1024 * 1024;
+
+// Limit from the environment: a number, or "unlimited"
+const envLimit = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  if (value === 'unlimited') return null;
+  const limit = parseInt(value, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+};
+
+// Defaults per role; null means unlimited. Read on every call so the
+// environment can be changed without touching code.
+const roleQuotas = (role) => {
+  if (role === 'admin') {
+    return {
+      maxBytes: envLimit('QUOTA_ADMIN_MAX_BYTES', null),
+      maxDocuments: envLimit('QUOTA_ADMIN_MAX_DOCUMENTS', null),
+      maxAnnotations: envLimit('QUOTA_ADMIN_MAX_ANNOTATIONS', null)
+    };
+  }
+  return {
+    maxBytes: envLimit('QUOTA_USER_MAX_BYTES', GB),
+    maxDocuments: envLimit('QUOTA_USER_MAX_DOCUMENTS', 500),
+    maxAnnotations: envLimit('QUOTA_USER_MAX_ANNOTATIONS', 10000)
+  };
+};
+
+// Effective limits: the role defaults, overridden per user by admins
+export const getQuota = (user) => {
+  const quota = roleQuotas(user.role);
+  for (const field of QUOTA_FIELDS) {
+    const override = user.quota?.[field];
+    if (override !== null && override !== undefined) quota[field] = override;
+  }
+  return quota;
+};
+
+// Trashed documents and annotations count until they are purged, since they
+// can still be restored
+const storageUsage = async (userId) => {
+  const [totals] = await PDF.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $project: {
+        // Every stored revision counts; documents from before versioning
+        // only have their top-level size
+        size: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$versions', []] } }, 0] },
+            { $sum: '$versions.fileSize' },
+            '$fileSize'
+          ]
+        }
+      }
+    },
+    { $group: { _id: null, bytes: { $sum: '$size' }, documents: { $sum: 1 } } }
+  ]);
+
+  return { bytes: totals?.bytes || 0, documents: totals?.documents || 0 };
+};
+
+const annotationCount = (userId) =>
+  Annotation.countDocuments({ user: userId }).setOptions({ withDeleted: true });
+
+const entry = (used, limit) => ({
+  used,
+  limit,
+  remaining: limit === null ? null : Math.max(0, limit - used)
+});
+
+export const getQuotaReport = async (user) => {
+  const quota = getQuota(user);
+  const [storage, annotations] = await Promise.all([
+    storageUsage(user._id),
+    annotationCount(user._id)
+  ]);
+
+  return {
+    bytes: entry(storage.bytes, quota.maxBytes),
+    documents: entry(storage.documents, quota.maxDocuments),
+    annotations: entry(annotations, quota.maxAnnotations)
+  };
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= GB) return `${(bytes / GB).toFixed(1)} GB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Check whether the user can store `bytes` more, in `documents` new
+// documents. Resolves to null, or to { status, message } for the response.
+export const checkUploadQuota = async (user, { bytes, documents = 1 }) => {
+  const quota = getQuota(user);
+  if (quota.maxBytes === null && (quota.maxDocuments === null || documents === 0)) return null;
+
+  const usage = await storageUsage(user._id);
+
+  if (documents > 0 && quota.maxDocuments !== null && usage.documents + documents > quota.maxDocuments) {
+    return {
+      status: 403,
+      message: `Document quota exceeded: you can keep at most ${quota.maxDocuments} documents (including the trash)`
+    };
+  }
+
+  if (quota.maxBytes !== null && usage.bytes + bytes > quota.maxBytes) {
+    return {
+      status: 413,
+      message: `Storage quota exceeded: this upload needs ${formatBytes(bytes)} but only ` +
+        `${formatBytes(Math.max(0, quota.maxBytes - usage.bytes))} of ${formatBytes(quota.maxBytes)} remain`
+    };
+  }
+
+  return null;
+};
+
+// Check whether the user can add `count` more annotations
+export const checkAnnotationQuota = async (user, count = 1) => {
+  const { maxAnnotations } = getQuota(user);
+  if (maxAnnotations === null) return null;
+
+  const annotations = await annotationCount(user._id);
+  if (annotations + count > maxAnnotations) {
+    return {
+      status: 403,
+      message: `Annotation quota exceeded: you can keep at most ${maxAnnotations} annotations`
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { WebSocketServer } from 'ws';
+import PDF from '../models/PDF.js';
+import { getUserFromToken } from '../middleware/auth.js';
+import { getPDFAccess } from './pdfAccess.js';
+
+// Live updates for everyone who has a PDF open, one channel per document:
+//   ws://host/api/realtime/pdfs/:pdfId?token=<JWT>
+// (or the JWT in an Authorization: Bearer header). Clients send
+// { type: 'page', page } when they change page and receive presence and
+// annotation events. Channels live in this process only, so a deployment
+// with several instances needs sticky sessions per document.
+
+const CHANNEL_PATH = /^\/api\/realtime\/pdfs\/([^/]+)\/?$/;
+
+// How often connections are pinged, and their access checked again
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// pdfId -> Set of connections { socket, id, user, access, page, joinedAt, alive }
+const channels = new Map();
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const send = (connection, message) => {
+  if (connection.socket.readyState === connection.socket.OPEN) {
+    connection.socket.send(JSON.stringify(message));
+  }
+};
+
+// Same rule as visibleAnnotationsQuery: the owner sees everything, others
+// see public annotations and their own private ones
+const canSee = (connection, { isPrivate, user }) =>
+  connection.access.isOwner || !isPrivate || idOf(user) === connection.user.id;
+
+const broadcastPresence = (pdfId) => {
+  const channel = channels.get(pdfId);
+  if (!channel) return;
+
+  const viewers = [...channel].map(connection => ({
+    id: connection.id,
+    user: { id: connection.user._id, name: connection.user.name },
+    page: connection.page,
+    joinedAt: connection.joinedAt
+  }));
+  channel.forEach(connection => send(connection, { type: 'presence', viewers }));
+};
+
+const leave = (pdfId, connection) => {
+  const channel = channels.get(pdfId);
+  if (!channel?.delete(connection)) return;
+  if (channel.size === 0) channels.delete(pdfId);
+  broadcastPresence(pdfId);
+};
+
+const join = (socket, pdfId, user, access) => {
+  const connection = {
+    socket,
+    id: crypto.randomUUID(),
+    user,
+    access,
+    page: 1,
+    joinedAt: new Date(),
+    alive: true
+  };
+
+  if (!channels.has(pdfId)) channels.set(pdfId, new Set());
+  channels.get(pdfId).add(connection);
+
+  socket.on('pong', () => {
+    connection.alive = true;
+  });
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return send(connection, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    if (message?.type === 'page' && Number.isInteger(message.page) && message.page >= 1) {
+      connection.page = message.page;
+      broadcastPresence(pdfId);
+    } else {
+      send(connection, { type: 'error', message: 'Unknown message' });
+    }
+  });
+
+  socket.on('close', () => leave(pdfId, connection));
+  socket.on('error', () => leave(pdfId, connection));
+
+  send(connection, { type: 'welcome', id: connection.id, access: access.role });
+  broadcastPresence(pdfId);
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+// Drop dead connections, and those whose access was revoked or whose
+// document went to the trash since they connected
+const heartbeat = async () => {
+  for (const [pdfId, channel] of channels) {
+    let pdf;
+    try {
+      pdf = await PDF.findById(pdfId);
+    } catch (error) {
+      console.error('Realtime access check failed:', error);
+      continue;
+    }
+
+    for (const connection of [...channel]) {
+      if (!connection.alive) {
+        connection.socket.terminate();
+        leave(pdfId, connection);
+        continue;
+      }
+
+      const access = pdf && await getPDFAccess(pdf, connection.user);
+      if (!access?.canView) {
+        connection.socket.close(pdf ? 4403 : 4404, pdf ? 'Access revoked' : 'PDF not found');
+        leave(pdfId, connection);
+        continue;
+      }
+
+      connection.access = access;
+      connection.alive = false;
+      connection.socket.ping();
+    }
+  }
+};
+
+export const attachRealtimeServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 4 * 1024 });
+
+  server.on('upgrade', async (req, socket, head) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(CHANNEL_PATH);
+      if (!match) return rejectUpgrade(socket, 404, 'Not Found');
+
+      const header = req.headers.authorization;
+      const token = header?.startsWith('Bearer') ? header.split(' ')[1] : url.searchParams.get('token');
+      const user = token && await getUserFromToken(token);
+      if (!user) return rejectUpgrade(socket, 401, 'Unauthorized');
+
+      const pdf = mongoose.isValidObjectId(match[1]) ? await PDF.findById(match[1]) : null;
+      if (!pdf) return rejectUpgrade(socket, 404, 'Not Found');
+
+      const access = await getPDFAccess(pdf, user);
+      if (!access.canView) return rejectUpgrade(socket, 403, 'Forbidden');
+
+      wss.handleUpgrade(req, socket, head, (ws) => join(ws, pdf._id.toString(), user, access));
+    } catch (error) {
+      console.error('Realtime connection failed:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  const timer = setInterval(() => {
+    heartbeat().catch(err => console.error('Realtime heartbeat failed:', err));
+  }, HEARTBEAT_INTERVAL);
+  timer.unref();
+
+  return wss;
+};
+
+// Tell everyone with the annotation's document open about a change.
+// `annotation` is the annotation after the change; for updates, `previous`
+// holds its isPrivate and user from before, so connections that could see it
+// but no longer can are told it is gone.
+export const publishAnnotationEvent = (type, annotation, { previous, data } = {}) => {
+  const pdfId = idOf(annotation.pdf);
+  const channel = channels.get(pdfId);
+  if (!channel) return;
+
+  for (const connection of channel) {
+    if (canSee(connection, annotation)) {
+      send(connection, { type, annotation: data ?? annotation });
+    } else if (previous && canSee(connection, previous)) {
+      send(connection, { type: 'annotation.deleted', annotation: { id: annotation._id, pdf: pdfId } });
+    }
+  }
+};
+
+// Events about the document as a whole, e.g. many annotations imported at
+// once, that clients answer by reloading
+export const publishDocumentEvent = (pdfId, type, data = {}) => {
+  const channel = channels.get(idOf(pdfId));
+  if (!channel) return;
+  channel.forEach(connection => send(connection, { type, ...data }));
+};
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import Annotation from '../models/Annotation.js';
+import PDFPage from '../models/PDFPage.js';
+import User from '../models/User.js';
+import { tempDir } from '../middleware/upload.js';
+import { getStorage } from '../storage/index.js';
+import { getViewerRect } from './annotationGeometry.js';
+import { storeFile, releaseFile } from './fileStore.js';
+import { queuePDFProcessing } from './pdfProcessor.js';
+import { validateUpload } from './pdfValidation.js';
+import { checkUploadQuota } from './quotas.js';
+
+// MuPDF is a large WebAssembly module, so it is only loaded once a
+// redaction is actually applied
+let mupdfModule = null;
+const loadMuPDF = async () => {
+  if (!mupdfModule) mupdfModule = await import('mupdf');
+  return mupdfModule;
+};
+
+// Redaction marks need an area; a point does not cover anything
+export const isRedactionArea = (content) => {
+  const { width, height } = getViewerRect(content);
+  return width > 0 && height > 0;
+};
+
+// Remove everything inside the marked areas from the file: text, the pixels
+// of images and any vector paths the areas touch. Areas are drawn over in
+// black. `marks` are annotations in viewer space, which is MuPDF's page space
+// up to the position of the crop box.
+const redactBytes = async (bytes, marks) => {
+  const mupdf = await loadMuPDF();
+  const document = mupdf.Document.openDocument(bytes, 'application/pdf');
+
+  try {
+    if (document.needsPassword()) {
+      const error = new Error('Encrypted PDFs cannot be redacted');
+      error.name = 'EncryptedPDFError';
+      throw error;
+    }
+
+    const pageCount = document.countPages();
+    const byPage = new Map();
+    for (const mark of marks) {
+      if (mark.page > pageCount) continue;
+      if (!byPage.has(mark.page)) byPage.set(mark.page, []);
+      byPage.get(mark.page).push(mark);
+    }
+
+    for (const [number, pageMarks] of byPage) {
+      const page = document.loadPage(number - 1);
+      const [left, top] = page.getBounds();
+
+      for (const mark of pageMarks) {
+        const { x, y, width, height } = getViewerRect(mark.content);
+        const annotation = page.createAnnotation('Redact');
+        annotation.setRect([left + x, top + y, left + x + width, top + y + height]);
+        annotation.update();
+      }
+
+      page.applyRedactions(
+        true,
+        mupdf.PDFPage.REDACT_IMAGE_PIXELS,
+        mupdf.PDFPage.REDACT_LINE_ART_REMOVE_IF_TOUCHED,
+        mupdf.PDFPage.REDACT_TEXT_REMOVE
+      );
+    }
+
+    // A full rewrite drops objects nothing refers to any more, such as the
+    // original image streams
+    return document.saveToBuffer('garbage=compact,compress').asUint8Array();
+  } finally {
+    document.destroy();
+  }
+};
+
+// Apply the approved redaction marks on the current revision. The result is
+// stored as a new revision, which becomes current; revisions before it are
+// only served to the owner from then on. Annotations move to the new revision.
+// Resolves to { entry, areas } or { failure: { status, message } }.
+export const applyRedactions = async (pdf, user) => {
+  const currentVersion = pdf.currentVersion || 1;
+  const marks = await Annotation.find({
+    pdf: pdf._id,
+    type: 'redaction',
+    version: Annotation.versionFilter(currentVersion),
+    'redaction.status': 'approved'
+  });
+
+  if (marks.length === 0) {
+    return { failure: { status: 400, message: 'There are no approved redactions to apply' } };
+  }
+
+  let bytes;
+  try {
+    bytes = await getStorage().readFile(pdf.filename);
+  } catch (error) {
+    return { failure: { status: 404, message: 'PDF file not found on server' } };
+  }
+
+  let redacted;
+  try {
+    redacted = await redactBytes(bytes, marks);
+  } catch (error) {
+    return {
+      failure: {
+        status: 422,
+        message: error.name === 'EncryptedPDFError'
+          ? error.message
+          : 'Unable to apply redactions to this PDF'
+      }
+    };
+  }
+
+  // Revisions count against the document's owner
+  const owner = pdf.user.toString() === user.id ? user : await User.findById(pdf.user);
+  const overQuota = owner && await checkUploadQuota(owner, { bytes: redacted.length, documents: 0 });
+  if (overQuota) return { failure: overQuota };
+
+  const tempPath = path.join(tempDir, `${uuidv4()}.pdf`);
+  await fs.promises.writeFile(tempPath, redacted);
+
+  const { rejectReason, validation } = await validateUpload(tempPath);
+  if (rejectReason) {
+    await fs.promises.rm(tempPath, { force: true });
+    return { failure: { status: 422, message: rejectReason } };
+  }
+
+  let stored;
+  try {
+    stored = await storeFile(tempPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  // Documents uploaded before versioning keep their original file as version 1
+  if (pdf.versions.length === 0) {
+    pdf.versions.push(pdf.getVersion(1));
+  }
+
+  const appliedAt = new Date();
+  const version = Math.max(...pdf.versions.map(v => v.version)) + 1;
+  const base = pdf.getVersion(currentVersion);
+  pdf.versions.push({
+    version,
+    filename: stored.filename,
+    originalName: base.originalName,
+    fileSize: stored.size,
+    fileHash: stored.hash,
+    validation,
+    comment: `Redacted ${marks.length} area${marks.length === 1 ? '' : 's'}`,
+    uploadedBy: user._id,
+    redaction: {
+      appliedBy: user._id,
+      appliedAt,
+      basedOn: currentVersion,
+      areas: marks.length
+    }
+  });
+
+  const entry = pdf.getVersion(version);
+  pdf.setCurrentVersion(entry);
+  pdf.status = 'processing';
+  try {
+    await pdf.save();
+  } catch (error) {
+    await releaseFile(stored.hash);
+    throw error;
+  }
+
+  // The search index still holds the removed text until processing is done
+  await PDFPage.deleteMany({ pdf: pdf._id });
+
+  await Annotation.updateMany(
+    { _id: { $in: marks.map(mark => mark._id) } },
+    {
+      'redaction.status': 'applied',
+      'redaction.appliedBy': user._id,
+      'redaction.appliedAt': appliedAt,
+      'redaction.appliedVersion': version
+    }
+  );
+  await Annotation.updateMany(
+    { pdf: pdf._id, version: Annotation.versionFilter(currentVersion) },
+    { version }
+  );
+
+  queuePDFProcessing(pdf._id);
+
+  return { entry, areas: marks.length };
+};
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Mongoose plugin for documents that go to the trash before being purged.
+// Adds deletedAt/deletedBy and hides trashed documents from find, findOne,
+// countDocuments and findOneAndUpdate (and so from populate and exists).
+// Queries that filter on deletedAt themselves, or set the withDeleted
+// option, see trashed documents too.
+export const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate'], function() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+};
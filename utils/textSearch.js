@@ -0,0 +1,48 @@
+const SNIPPET_RADIUS = 80;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn a $text search string into the plain terms used for highlighting,
+// dropping negated terms and keeping quoted phrases together
+export const parseSearchTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(search)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) terms.push(term);
+  }
+
+  return terms;
+};
+
+// Build a short excerpt around the first occurrence of any search term
+export const buildSnippet = (text, terms) => {
+  if (!text) return '';
+
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  let index = -1;
+  let length = 0;
+
+  if (terms.length) {
+    const regex = new RegExp(terms.map(escapeRegex).join('|'), 'i');
+    const match = regex.exec(normalized);
+    if (match) {
+      index = match.index;
+      length = match[0].length;
+    }
+  }
+
+  if (index === -1) {
+    return normalized.length > SNIPPET_RADIUS * 2
+      ? `${normalized.slice(0, SNIPPET_RADIUS * 2)}…`
+      : normalized;
+  }
+
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(normalized.length, index + length + SNIPPET_RADIUS);
+
+  return `${start > 0 ? '…' : ''}${normalized.slice(start, end)}${end < normalized.length ? '…' : ''}`;
+};
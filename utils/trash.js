@@ -0,0 +1,93 @@
+import PDF from '../models/PDF.js';
+import Annotation from '../models/Annotation.js';
+import PDFPage from '../models/PDFPage.js';
+import Folder from '../models/Folder.js';
+import Collection from '../models/Collection.js';
+import ShareLink from '../models/ShareLink.js';
+import PDFViewEvent from '../models/PDFViewEvent.js';
+import AnnotationRevision from '../models/AnnotationRevision.js';
+import { releaseVersionFile } from './fileStore.js';
+import { purgeAnnotations } from './annotationHistory.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long trashed documents are kept before the purge sweep removes them
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+export const purgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY);
+
+// Move a PDF to the trash. Its annotations are trashed with the same
+// timestamp so a restore brings back exactly those, and not annotations that
+// were deleted on their own before.
+export const trashPDF = async (pdf, userId) => {
+  const deletedAt = new Date();
+
+  await Annotation.updateMany(
+    { pdf: pdf._id, deletedAt: null },
+    { deletedAt, deletedBy: userId }
+  );
+
+  pdf.deletedAt = deletedAt;
+  pdf.deletedBy = userId;
+  await pdf.save();
+};
+
+export const restorePDF = async (pdf) => {
+  await Annotation.updateMany(
+    { pdf: pdf._id, deletedAt: pdf.deletedAt },
+    { deletedAt: null, deletedBy: null }
+  );
+
+  // The folder may have been deleted while the PDF was in the trash
+  if (pdf.folder && !(await Folder.exists({ _id: pdf.folder }))) {
+    pdf.folder = null;
+  }
+
+  pdf.deletedAt = null;
+  pdf.deletedBy = null;
+  await pdf.save();
+};
+
+// Permanently delete a PDF with everything that belongs to it
+export const purgePDF = async (pdf) => {
+  await Annotation.deleteMany({ pdf: pdf._id });
+  await AnnotationRevision.deleteMany({ pdf: pdf._id });
+  await PDFPage.deleteMany({ pdf: pdf._id });
+  await Collection.updateMany({ pdfs: pdf._id }, { $pull: { pdfs: pdf._id } });
+  await ShareLink.deleteMany({ pdf: pdf._id });
+  await PDFViewEvent.deleteMany({ pdf: pdf._id });
+
+  // Release every stored revision; shared content stays until its last user is gone
+  const entries = pdf.versions.length > 0 ? pdf.versions : [pdf.getVersion(1)];
+  await Promise.all(entries.map(entry => releaseVersionFile(entry).catch(err => {
+    console.error('Failed to delete PDF file:', err);
+  })));
+
+  // The source of a fork counts only the forks that still exist
+  if (pdf.forkedFrom?.pdf) {
+    await PDF.updateOne(
+      { _id: pdf.forkedFrom.pdf, forkCount: { $gt: 0 } },
+      { $inc: { forkCount: -1 } }
+    );
+  }
+
+  await PDF.findByIdAndDelete(pdf._id);
+};
+
+// Purge trashed PDFs and annotations older than the retention period
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * DAY);
+
+  const pdfs = await PDF.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const pdf of pdfs) {
+    await purgePDF(pdf);
+  }
+
+  const annotations = await purgeAnnotations({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  return { pdfs: pdfs.length, annotations };
+};
@@ -0,0 +1,478 @@
+import { XMLParser } from 'fast-xml-parser';
+import { PDFString } from 'pdf-lib';
+import {
+  toPDFPoint,
+  toPDFRect,
+  toPDFQuad,
+  toPDFIconRect,
+  fromPDFPoint,
+  fromPDFRect,
+  fromPDFIconRect,
+  getViewerRect,
+  expandRect,
+  parseHexColor
+} from './annotationGeometry.js';
+import { parseDefaultAppearance, cleanContent, cleanReply } from './pdfAnnotationImport.js';
+
+const XFDF_NAMESPACE = 'http://ns.adobe.com/xfdf/';
+
+// XFDF elements we can turn into Annotation types
+const SUPPORTED_ELEMENTS = ['highlight', 'text', 'freetext', 'square', 'circle', 'line', 'ink'];
+
+// Every annotation element XFDF defines, so unsupported ones can be reported
+const ANNOTATION_ELEMENTS = [
+  ...SUPPORTED_ELEMENTS,
+  'underline', 'strikeout', 'squiggly', 'polygon', 'polyline', 'stamp',
+  'caret', 'fileattachment', 'sound', 'redact'
+];
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatNumber = (value) => Number(value.toFixed(4)).toString();
+
+const formatNumbers = (values) => values.map(formatNumber).join(',');
+
+const toXFDFDate = (date) => PDFString.fromDate(new Date(date || Date.now())).decodeText();
+
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([key, value]) => `${key}="${escapeXML(value)}"`)
+  .join(' ');
+
+const element = (name, attrs, children = []) => {
+  const body = children.filter(Boolean).join('');
+  return body
+    ? `<${name} ${attrs}>${body}</${name}>`
+    : `<${name} ${attrs}/>`;
+};
+
+const contentsElement = (text) => (text ? `<contents>${escapeXML(text)}</contents>` : '');
+
+// Account name, else the name recorded for imported or guest content
+const authorName = (item) => item.user?.name || item.originalAuthor || 'Anonymous';
+
+// Type-specific element name, attributes and children in PDF space
+const serializers = {
+  highlight: (annotation, box) => {
+    const viewerRect = getViewerRect(annotation.content);
+    return {
+      name: 'highlight',
+      rect: toPDFRect(box, viewerRect),
+      attrs: { coords: formatNumbers(toPDFQuad(box, viewerRect)) }
+    };
+  },
+
+  text: (annotation, box) => {
+    const { style = {} } = annotation.content;
+    const rect = toPDFRect(box, getViewerRect(annotation.content));
+    const fontSize = style.fontSize || 14;
+    const { r, g, b } = parseHexColor(style.color || '#000000');
+    return {
+      name: 'freetext',
+      rect,
+      attrs: { rotation: box.rotation || undefined },
+      children: [
+        `<defaultappearance>/Helv ${fontSize} Tf ${formatNumbers([r, g, b]).replace(/,/g, ' ')} rg</defaultappearance>`
+      ]
+    };
+  },
+
+  rectangle: (annotation, box) => {
+    const width = annotation.content.style?.strokeWidth || 2;
+    return {
+      name: 'square',
+      rect: expandRect(toPDFRect(box, getViewerRect(annotation.content)), width / 2),
+      attrs: { width }
+    };
+  },
+
+  circle: (annotation, box) => {
+    const width = annotation.content.style?.strokeWidth || 2;
+    return {
+      name: 'circle',
+      rect: expandRect(toPDFRect(box, getViewerRect(annotation.content)), width / 2),
+      attrs: { width }
+    };
+  },
+
+  arrow: (annotation, box) => {
+    const { points = [], bounds, coordinates = {} } = annotation.content;
+    const width = annotation.content.style?.strokeWidth || 2;
+
+    let start;
+    let end;
+    if (points.length >= 2) {
+      start = points[0];
+      end = points[points.length - 1];
+    } else if (bounds && typeof bounds.x2 === 'number') {
+      start = { x: bounds.x1, y: bounds.y1 };
+      end = { x: bounds.x2, y: bounds.y2 };
+    } else {
+      start = { x: coordinates.x, y: coordinates.y };
+      end = { x: coordinates.x + (coordinates.width || 0), y: coordinates.y + (coordinates.height || 0) };
+    }
+
+    start = toPDFPoint(box, start);
+    end = toPDFPoint(box, end);
+
+    return {
+      name: 'line',
+      rect: expandRect([
+        Math.min(start.x, end.x), Math.min(start.y, end.y),
+        Math.max(start.x, end.x), Math.max(start.y, end.y)
+      ], width * 5),
+      attrs: {
+        start: formatNumbers([start.x, start.y]),
+        end: formatNumbers([end.x, end.y]),
+        head: 'None',
+        tail: 'OpenArrow',
+        width
+      }
+    };
+  },
+
+  freehand: (annotation, box) => {
+    const points = (annotation.content.points || []).map(p => toPDFPoint(box, p));
+    if (points.length === 0) return null;
+
+    const width = annotation.content.style?.strokeWidth || 2;
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+
+    return {
+      name: 'ink',
+      rect: expandRect([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)], width),
+      attrs: { width },
+      children: [
+        `<inklist><gesture>${points.map(p => formatNumbers([p.x, p.y])).join(';')}</gesture></inklist>`
+      ]
+    };
+  }
+};
+
+// Serialize annotations to an XFDF document. `pageBoxes` holds the crop box
+// and rotation of every page so viewer coordinates can be converted to PDF
+// space.
+export const buildXFDF = ({ annotations, pageBoxes, filename }) => {
+  const elements = [];
+
+  annotations.forEach(annotation => {
+    const box = pageBoxes[annotation.page - 1];
+    const serialize = serializers[annotation.type];
+    if (!box || !serialize) return;
+
+    const serialized = serialize(annotation, box);
+    if (!serialized) return;
+
+    const { style = {} } = annotation.content;
+    const name = annotation._id.toString();
+
+    elements.push(element(serialized.name, attributes({
+      page: annotation.page - 1,
+      rect: formatNumbers(serialized.rect),
+      name,
+      title: authorName(annotation),
+      subject: annotation.type,
+      color: style.color,
+      opacity: style.opacity,
+      flags: 'print',
+      date: toXFDFDate(annotation.updatedAt),
+      creationdate: toXFDFDate(annotation.createdAt),
+      ...serialized.attrs
+    }), [
+      contentsElement(annotation.content.text),
+      ...(serialized.children || [])
+    ]));
+
+    // Replies are sticky notes pointing back at their parent, stacked to its
+    // right as displayed
+    const parent = fromPDFRect(box, serialized.rect);
+    (annotation.replies || []).forEach((reply, index) => {
+      elements.push(element('text', attributes({
+        page: annotation.page - 1,
+        rect: formatNumbers(toPDFIconRect(box, {
+          x: parent.x + parent.width,
+          y: parent.y + 20 * index,
+          width: 20,
+          height: 20
+        })),
+        name: reply._id ? reply._id.toString() : `${name}-${index}`,
+        title: authorName(reply),
+        color: style.color,
+        flags: 'print,nozoom,norotate',
+        date: toXFDFDate(reply.createdAt),
+        creationdate: toXFDFDate(reply.createdAt),
+        icon: 'Comment',
+        inreplyto: name,
+        replyType: 'reply'
+      }), [contentsElement(reply.text)]));
+    });
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xfdf xmlns="${XFDF_NAMESPACE}" xml:space="preserve">`,
+    filename ? `<f href="${escapeXML(filename)}"/>` : '',
+    `<annots>${elements.join('')}</annots>`,
+    '</xfdf>'
+  ].filter(Boolean).join('\n');
+};
+
+const parseNumbers = (value) => (value || '')
+  .split(/[\s,;]+/)
+  .filter(Boolean)
+  .map(Number)
+  .filter(n => !Number.isNaN(n));
+
+const textOf = (node) => {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'string' || typeof node === 'number') return String(node);
+  return node['#text'] !== undefined ? String(node['#text']) : undefined;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const styleFrom = (node, defaultOpacity) => {
+  const opacity = node.opacity !== undefined ? Number(node.opacity) : defaultOpacity;
+  return {
+    color: /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(node.color || '') ? node.color.toUpperCase() : undefined,
+    opacity: Number.isNaN(opacity) ? defaultOpacity : clamp(opacity, 0, 1)
+  };
+};
+
+const strokeWidthOf = (node) => {
+  const width = Number(node.width);
+  return Number.isNaN(width) || node.width === undefined ? 2 : clamp(Math.round(width), 1, 10);
+};
+
+const rectOf = (node, box) => {
+  const rect = parseNumbers(node.rect);
+  return rect.length === 4 ? fromPDFRect(box, rect) : null;
+};
+
+const insetShape = (type, node, box) => {
+  const strokeWidth = strokeWidthOf(node);
+  const [x1, y1, x2, y2] = parseNumbers(node.rect);
+  if ([x1, y1, x2, y2].some(v => v === undefined)) return [];
+
+  const inset = Math.min(strokeWidth / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2);
+  const { x, y, width, height } = fromPDFRect(box, [
+    Math.min(x1, x2) + inset,
+    Math.min(y1, y2) + inset,
+    Math.max(x1, x2) - inset,
+    Math.max(y1, y2) - inset
+  ]);
+
+  return [{
+    type,
+    content: {
+      text: textOf(node.contents),
+      coordinates: { x, y, width, height },
+      style: { ...styleFrom(node, 1), strokeWidth }
+    }
+  }];
+};
+
+// XFDF element -> Annotation data in viewer space
+const parsers = {
+  highlight: (node, box) => {
+    const coords = parseNumbers(node.coords);
+    let rect;
+    if (coords.length >= 8) {
+      const xs = coords.filter((_, i) => i % 2 === 0);
+      const ys = coords.filter((_, i) => i % 2 === 1);
+      rect = fromPDFRect(box, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]);
+    } else {
+      rect = rectOf(node, box);
+    }
+    if (!rect) return [];
+
+    const { x, y, width, height } = rect;
+    return [{
+      type: 'highlight',
+      content: {
+        text: textOf(node.contents),
+        coordinates: { x, y, width, height },
+        style: styleFrom(node, 0.5)
+      }
+    }];
+  },
+
+  // Sticky notes flagged norotate stay upright on rotated pages
+  text: (node, box) => {
+    const noRotate = (node.flags || '').split(',').map(flag => flag.trim()).includes('norotate');
+    const numbers = parseNumbers(node.rect);
+    const rect = noRotate && numbers.length === 4 ? fromPDFIconRect(box, numbers) : rectOf(node, box);
+    if (!rect) return [];
+
+    const { x, y, width, height } = rect;
+    return [{
+      type: 'text',
+      content: {
+        text: textOf(node.contents),
+        coordinates: { x, y, width, height },
+        style: styleFrom(node, 1)
+      }
+    }];
+  },
+
+  freetext: (node, box) => {
+    const rect = rectOf(node, box);
+    if (!rect) return [];
+
+    const { x, y, width, height } = rect;
+    const { fontSize, color } = parseDefaultAppearance(textOf(node.defaultappearance));
+    return [{
+      type: 'text',
+      content: {
+        text: textOf(node.contents),
+        coordinates: { x, y, width, height },
+        style: {
+          ...styleFrom(node, 1),
+          ...(color && { color }),
+          ...(fontSize && { fontSize })
+        }
+      }
+    }];
+  },
+
+  square: (node, box) => insetShape('rectangle', node, box),
+
+  circle: (node, box) => insetShape('circle', node, box),
+
+  line: (node, box) => {
+    const startCoords = parseNumbers(node.start);
+    const endCoords = parseNumbers(node.end);
+    if (startCoords.length < 2 || endCoords.length < 2) return [];
+
+    const start = fromPDFPoint(box, { x: startCoords[0], y: startCoords[1] });
+    const end = fromPDFPoint(box, { x: endCoords[0], y: endCoords[1] });
+
+    return [{
+      type: 'arrow',
+      content: {
+        text: textOf(node.contents),
+        coordinates: { x: start.x, y: start.y },
+        bounds: { x1: start.x, y1: start.y, x2: end.x, y2: end.y },
+        points: [start, end],
+        style: { ...styleFrom(node, 1), strokeWidth: strokeWidthOf(node) }
+      }
+    }];
+  },
+
+  // Every gesture becomes its own freehand annotation
+  ink: (node, box) => {
+    const gestures = [].concat(node.inklist?.gesture || []);
+
+    return gestures
+      .map(gesture => {
+        const numbers = parseNumbers(textOf(gesture));
+        const points = [];
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+          points.push(fromPDFPoint(box, { x: numbers[i], y: numbers[i + 1] }));
+        }
+        return points;
+      })
+      .filter(points => points.length > 0)
+      .map(points => ({
+        type: 'freehand',
+        content: {
+          text: textOf(node.contents),
+          coordinates: { x: points[0].x, y: points[0].y },
+          points,
+          style: { ...styleFrom(node, 1), strokeWidth: strokeWidthOf(node) }
+        }
+      }));
+  }
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  parseTagValue: false,
+  trimValues: false,
+  removeNSPrefix: true,
+  isArray: (name, jpath) => ANNOTATION_ELEMENTS.includes(name) && jpath === `xfdf.annots.${name}`
+});
+
+// Parse an XFDF document into Annotation data. Reply notes (inreplyto) are
+// attached to the annotation they answer. Returns { annotations, skipped }.
+export const parseXFDF = (xml, pageBoxes) => {
+  const document = parser.parse(xml);
+  if (!document || !document.xfdf) {
+    throw new Error('Invalid XFDF document');
+  }
+
+  const annots = document.xfdf.annots || {};
+  const annotations = [];
+  const skipped = [];
+  const byName = new Map();
+  const replies = [];
+
+  ANNOTATION_ELEMENTS.forEach(elementName => {
+    (annots[elementName] || []).forEach(node => {
+      const page = parseInt(node.page) + 1;
+      const entry = { name: node.name, element: elementName, page: Number.isNaN(page) ? null : page };
+      const box = pageBoxes[page - 1];
+
+      if (!box) {
+        skipped.push({ ...entry, reason: 'Page does not exist in this PDF' });
+        return;
+      }
+
+      if (node.inreplyto) {
+        replies.push({ node, entry, box });
+        return;
+      }
+
+      const parse = parsers[elementName];
+      if (!parse) {
+        skipped.push({ ...entry, reason: 'Unsupported annotation type' });
+        return;
+      }
+
+      const converted = parse(node, box);
+      if (converted.length === 0) {
+        skipped.push({ ...entry, reason: 'Annotation has no geometry' });
+        return;
+      }
+
+      const entries = converted.map(data => ({
+        ...data,
+        content: cleanContent(data.content),
+        page,
+        originalAuthor: node.title,
+        replies: []
+      }));
+
+      annotations.push(...entries);
+      if (node.name) byName.set(node.name, entries[0]);
+    });
+  });
+
+  replies.forEach(({ node, entry, box }) => {
+    // Grouped annotations duplicate their parent
+    if (node.replyType === 'group') return;
+
+    const text = textOf(node.contents);
+    const target = byName.get(node.inreplyto);
+
+    if (target && text) {
+      target.replies.push(cleanReply(text, node.title));
+      return;
+    }
+
+    skipped.push({
+      ...entry,
+      reason: target ? 'Reply has no text' : 'Reply to an annotation that could not be imported'
+    });
+  });
+
+  return { annotations, skipped };
+};